@@ -0,0 +1,308 @@
+import { SignalParserRegistry } from '../signals/registry.js';
+import { TradeManager, MIN_EQUITY } from '../trading/tradeManager.js';
+import { buildTradePlan, priceDriftPercent } from '../trading/tradePlan.js';
+import { calculatePositionSize } from '../trading/positionSizer.js';
+import { resolveProfile } from '../trading/profiles.js';
+import { calculateAtr, createTrailingState, isActivated, nextTrailingStop, trailingDistance } from '../trading/trailingStop.js';
+import { TradingHours } from '../utils/tradingHours.js';
+import { NadoClient } from '../nado/client.js';
+import { utcDayKey } from '../storage/tradeStore.js';
+import { config } from '../config.js';
+
+// Candles carry no market specs: no increments or minimum, leverage capped by config only
+const BACKTEST_PRODUCT = { priceIncrement: 0, sizeIncrement: 0, minSize: 0 };
+
+/**
+ * Replays exported channel messages against historical OHLC candles.
+ *
+ * Signals go through the channel's parser and whitelist, their profile's
+ * enable flag, trading hours and blackouts, the daily and open-position
+ * limits and the price-drift check, are sized and given a trade plan like in
+ * TradeManager. Market
+ * entries fill at the open of the first candle after the message, limit
+ * entries on the first candle that reaches the price before expiry. TP legs
+ * fill on the candles that touch them, the stop moves to breakeven after TP1
+ * and trails on candle closes as configured (ATR over the candles given).
+ * Positions past MAX_HOLDING_MINUTES or the end of the trading session (with
+ * FLATTEN_AT_SESSION_END) close at the open of the next candle.
+ * When one candle touches both
+ * the stop and a target, the stop is assumed to hit first. Balance compounds
+ * as trades close.
+ */
+export class Backtester {
+  /**
+   * @param {Object} options
+   * @param {Map<string, Object[]>} options.candles - Base asset -> candles sorted by time
+   * @param {Object} [options.channel] - Channel config whose parser and whitelist to apply
+   * @param {number} [options.startBalance]
+   * @param {number} [options.feePercent] - Taker fee charged on entry and exit
+   */
+  constructor({ candles, channel = { id: null }, startBalance = config.paper.startBalance, feePercent = config.paper.takerFeePercent }) {
+    this.candles = candles;
+    this.startBalance = startBalance;
+    this.feeRate = feePercent / 100;
+    this.tradeManager = new TradeManager(null, null, null);
+    this.signals = new SignalParserRegistry([]);
+    this.channel = this.signals.addChannel(channel);
+  }
+
+  /**
+   * @param {{ id: number|null, timestamp: number, text: string }[]} messages - Sorted by time
+   */
+  run(messages) {
+    let balance = this.startBalance;
+    const trades = [];
+    const skipped = {};
+    const pending = []; // trades not yet closed at the current signal time
+    const skip = (reason) => {
+      skipped[reason] = (skipped[reason] || 0) + 1;
+    };
+
+    const settleUntil = (timestamp) => {
+      pending.sort((a, b) => a.exitTime - b.exitTime);
+      while (pending.length > 0 && pending[0].exitTime <= timestamp) {
+        const trade = pending.shift();
+        balance += trade.pnlUSD - trade.feeUSD;
+        trade.balance = balance;
+      }
+    };
+
+    for (const message of messages) {
+      const { signal, reason } = this.signals.parse(this.channel, message.text, message.id, message.timestamp);
+      if (!signal) {
+        if (reason) {
+          skip(reason);
+        }
+        continue;
+      }
+
+      settleUntil(message.timestamp);
+
+      const profile = resolveProfile(signal.symbol, signal.signalType);
+      if (!profile.enabled) {
+        skip('disabled by profile');
+        continue;
+      }
+      if (!TradingHours.isWithinTradingHours(new Date(message.timestamp), profile.tradingHours)) {
+        skip('outside trading hours');
+        continue;
+      }
+
+      const dayKey = utcDayKey(message.timestamp);
+      if (trades.filter(t => utcDayKey(t.entryTime) === dayKey).length >= config.risk.maxDailyTrades) {
+        skip('daily trade limit');
+        continue;
+      }
+      if (pending.length >= config.risk.maxOpenPositions ||
+        pending.filter(t => NadoClient.toBaseAsset(t.symbol) === NadoClient.toBaseAsset(signal.symbol)).length >= profile.maxOpenPositions) {
+        skip('max open positions');
+        continue;
+      }
+      if (balance < MIN_EQUITY) {
+        skip('insufficient balance');
+        continue;
+      }
+
+      const { trade, reason: notTraded } = this.simulateTrade(signal, message, balance, profile);
+      if (!trade) {
+        skip(notTraded);
+        continue;
+      }
+
+      trades.push(trade);
+      pending.push(trade);
+    }
+
+    settleUntil(Infinity);
+
+    return { trades, skipped, summary: this.summarize(trades, balance) };
+  }
+
+  simulateTrade(signal, message, balance, profile = resolveProfile(signal.symbol, signal.signalType)) {
+    const candles = this.candles.get(NadoClient.toBaseAsset(signal.symbol)) || [];
+    const entryIndex = candles.findIndex(c => c.timestamp >= message.timestamp);
+    if (entryIndex === -1) {
+      return { trade: null, reason: 'no candles' };
+    }
+
+    const { side } = signal;
+    const drift = priceDriftPercent(signal, candles[entryIndex].open);
+    if (drift !== null && config.signalPolicy.maxPriceDriftPercent > 0 && drift > config.signalPolicy.maxPriceDriftPercent) {
+      return { trade: null, reason: 'price drift' };
+    }
+    const plan = buildTradePlan(signal, candles[entryIndex].open, profile);
+
+    let fillIndex = entryIndex;
+    let entryPrice = candles[entryIndex].open;
+    if (plan.entryType === 'limit') {
+      const expiresAt = message.timestamp + config.signalLevels.limitEntryExpiryMinutes * 60 * 1000;
+      fillIndex = candles.findIndex((c, i) => i >= entryIndex && c.timestamp <= expiresAt &&
+        (side === 'LONG' ? c.low <= plan.entryPrice : c.high >= plan.entryPrice));
+      if (fillIndex === -1) {
+        return { trade: null, reason: 'limit entry expired' };
+      }
+      entryPrice = plan.entryPrice;
+    }
+
+    const entryCandle = candles[fillIndex];
+    const { tpLadder, tpPrice, slPrice, tpSource, slSource } =
+      this.tradeManager.calculateExitLevels(side, entryPrice, plan);
+    const sizing = calculatePositionSize({
+      equity: balance,
+      entryPrice,
+      stopPrice: slPrice,
+      product: { ...BACKTEST_PRODUCT, takerFeeRate: this.feeRate },
+      riskPercent: profile.riskPercent,
+      leverage: profile.leverage,
+    });
+    if (sizing.reason) {
+      return { trade: null, reason: 'cannot size' };
+    }
+    const { size } = sizing;
+
+    const position = {
+      symbol: signal.symbol,
+      side,
+      entryPrice,
+      size,
+      initialSize: size,
+      realizedPnL: 0,
+      slPrice,
+      tpLegs: tpLadder.map((level, i) => ({
+        ...level,
+        index: i + 1,
+        size: size * level.share / 100,
+        filledSize: 0,
+        exitPrice: null,
+      })),
+    };
+    const crosses = (candle, price, isStop) => ((side === 'LONG') === isStop
+      ? candle.low <= price
+      : candle.high >= price);
+
+    let exit = null;
+    let trailing = config.trailingStop.mode !== 'off' ? createTrailingState(position, config.trailingStop) : null;
+    const maxHoldingMs = config.risk.maxHoldingMinutes * 60 * 1000;
+    for (let i = fillIndex; i < candles.length; i++) {
+      const candle = candles[i];
+
+      if (i > fillIndex) {
+        const sessionOver = profile.tradingHours.flattenAtSessionEnd &&
+          !TradingHours.isWithinTradingHours(new Date(candle.timestamp), profile.tradingHours);
+        const timedOut = maxHoldingMs > 0 && candle.timestamp - entryCandle.timestamp >= maxHoldingMs;
+        if (sessionOver || timedOut) {
+          exit = { reason: sessionOver ? 'SESSION_END' : 'TIMEOUT', exitPrice: candle.open, exitTime: candle.timestamp };
+          break;
+        }
+      }
+
+      if (crosses(candle, position.slPrice, true)) {
+        exit = { reason: 'SL', exitPrice: position.slPrice, exitTime: candle.timestamp };
+        break;
+      }
+
+      for (const leg of position.tpLegs) {
+        if (leg.filledSize === 0 && crosses(candle, leg.price, false)) {
+          leg.filledSize = Math.min(leg.size, position.size);
+          leg.exitPrice = leg.price;
+          position.realizedPnL += this.tradeManager.calculatePnL({ ...position, size: leg.filledSize }, leg.price).pnlUSD;
+          position.size -= leg.filledSize;
+
+          if (leg.index === 1) {
+            if (config.risk.breakevenAfterTp1) {
+              position.slPrice = side === 'LONG'
+                ? Math.max(position.slPrice, entryPrice)
+                : Math.min(position.slPrice, entryPrice);
+            }
+            if (config.risk.trailAfterTp1Percent > 0) {
+              trailing = createTrailingState(position, { mode: 'percent', percent: config.risk.trailAfterTp1Percent });
+            }
+          }
+        }
+      }
+
+      if (position.size <= size * 1e-6) {
+        const lastLeg = position.tpLegs[position.tpLegs.length - 1];
+        exit = { reason: 'TP', exitPrice: lastLeg.price, exitTime: candle.timestamp };
+        break;
+      }
+
+      if (trailing && (trailing.active || isActivated(trailing, side, candle.close))) {
+        trailing.active = true;
+        if (trailing.mode === 'atr') {
+          const { atrPeriod } = config.trailingStop;
+          trailing.atr = calculateAtr(candles.slice(Math.max(0, i - atrPeriod * 3), i + 1), atrPeriod);
+        }
+        const stop = nextTrailingStop(side, position.slPrice, candle.close, trailingDistance(trailing, candle.close));
+        if (stop !== null) {
+          position.slPrice = stop;
+        }
+      }
+    }
+
+    // Still open when the data runs out: mark at the last close
+    if (!exit) {
+      const last = candles[candles.length - 1];
+      exit = { reason: 'END', exitPrice: last.close, exitTime: last.timestamp };
+    }
+
+    const { pnlUSD, pnlPercent } = this.tradeManager.calculateTradePnL(position, exit.exitPrice);
+    const exitNotional = position.tpLegs.reduce((sum, leg) => sum + leg.filledSize * leg.exitPrice, 0) +
+      position.size * exit.exitPrice;
+
+    const trade = {
+      messageId: message.id,
+      signalTime: message.timestamp,
+      symbol: signal.symbol,
+      side,
+      entryPrice,
+      size,
+      entryType: plan.entryType,
+      entryTime: entryCandle.timestamp,
+      tpPrice,
+      tpSource,
+      slPrice,
+      slSource,
+      tpHits: position.tpLegs.filter(leg => leg.filledSize > 0).length,
+      ...exit,
+      pnlUSD,
+      pnlPercent,
+      riskUSD: sizing.riskUSD,
+      feeUSD: (size * entryPrice + exitNotional) * this.feeRate,
+      balance: null, // filled in when the trade settles
+    };
+    return { trade, reason: null };
+  }
+
+  summarize(trades, finalBalance) {
+    const netPnL = (t) => t.pnlUSD - t.feeUSD;
+    const wins = trades.filter(t => netPnL(t) > 0).length;
+
+    // Drawdown of the realized equity curve, in settlement order
+    let peak = this.startBalance;
+    let maxDrawdownUSD = 0;
+    let maxDrawdownPercent = 0;
+    for (const trade of [...trades].sort((a, b) => a.exitTime - b.exitTime)) {
+      peak = Math.max(peak, trade.balance);
+      const drawdown = peak - trade.balance;
+      if (drawdown > maxDrawdownUSD) {
+        maxDrawdownUSD = drawdown;
+        maxDrawdownPercent = (drawdown / peak) * 100;
+      }
+    }
+
+    return {
+      trades: trades.length,
+      wins,
+      losses: trades.length - wins,
+      winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+      totalPnL: finalBalance - this.startBalance,
+      fees: trades.reduce((sum, t) => sum + t.feeUSD, 0),
+      startBalance: this.startBalance,
+      finalBalance,
+      returnPercent: ((finalBalance - this.startBalance) / this.startBalance) * 100,
+      maxDrawdownUSD,
+      maxDrawdownPercent,
+    };
+  }
+}
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Parse a timestamp given as unix seconds, unix milliseconds or ISO string
+ * @returns {number} Milliseconds since epoch, NaN when unparseable
+ */
+export function parseTimestamp(value) {
+  const num = Number(value);
+  if (!isNaN(num) && String(value).trim() !== '') {
+    return num < 1e12 ? num * 1000 : num;
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Telegram exports split formatted text into an array of strings and entities
+ */
+function flattenText(text) {
+  if (Array.isArray(text)) {
+    return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return text || '';
+}
+
+/**
+ * Load channel messages from a Telegram Desktop JSON export
+ * (`{ messages: [...] }`) or a plain array of `{ id, date, text }`.
+ * @returns {{ id: number|null, timestamp: number, text: string }[]} Sorted by time
+ */
+export function loadMessages(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const messages = Array.isArray(data) ? data : data.messages || [];
+
+  return messages
+    .filter(msg => !msg.type || msg.type === 'message')
+    .map(msg => ({
+      id: msg.id ?? null,
+      timestamp: parseTimestamp(msg.date_unixtime ?? msg.date),
+      text: flattenText(msg.text),
+    }))
+    .filter(msg => !isNaN(msg.timestamp) && msg.text)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load OHLC candles from CSV (`timestamp,open,high,low,close[,volume]`,
+ * header optional). Each candle's timestamp is its open time.
+ * @returns {{ timestamp: number, open: number, high: number, low: number, close: number }[]}
+ */
+export function loadCandles(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim().split(','))
+    .filter(cols => cols.length >= 5 && !isNaN(Number(cols[4])) && cols[4].trim() !== '')
+    .map(([timestamp, open, high, low, close]) => ({
+      timestamp: parseTimestamp(timestamp),
+      open: Number(open),
+      high: Number(high),
+      low: Number(low),
+      close: Number(close),
+    }))
+    .filter(candle => !isNaN(candle.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Resolve a `--candles` argument to the symbol it prices: either an explicit
+ * `SYMBOL=path` or the file name, e.g. `btc.csv` -> `btc`
+ * @returns {{ symbol: string, file: string }}
+ */
+export function parseCandlesArg(arg) {
+  const separator = arg.indexOf('=');
+  if (separator > 0) {
+    return { symbol: arg.slice(0, separator), file: arg.slice(separator + 1) };
+  }
+  return { symbol: path.basename(arg, path.extname(arg)), file: arg };
+}
+
+/**
+ * Serialize rows of plain objects to CSV using the keys of the first row
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const escape = (value) => {
+    const str = value == null ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(',')),
+  ].join('\n') + '\n';
+}
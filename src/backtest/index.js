@@ -0,0 +1,97 @@
+/**
+ * Backtest CLI
+ *
+ *   npm run backtest -- --signals export.json --candles btc.csv [--candles ETH=eth.csv]
+ *                       [--channel <id> | --parser <name>] [--out trades.csv] [--balance 1000] [--fee 0.05]
+ *
+ * Risk, trading-hours and symbol settings come from the usual environment.
+ */
+import fs from 'fs';
+
+// Must be set before config is loaded: backtests need no credentials
+process.env.MODE = 'backtest';
+
+const USAGE = 'Usage: npm run backtest -- --signals <export.json> --candles [SYMBOL=]<file.csv> ' +
+  '[--candles ...] [--channel <id> | --parser <name>] [--out trades.csv] [--balance 1000] [--fee 0.05]';
+
+function parseArgs(argv) {
+  const args = { candles: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    if (key === 'candles') {
+      args.candles.push(value);
+    } else {
+      args[key] = value;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { Backtester } = await import('./backtester.js');
+  const { loadMessages, loadCandles, parseCandlesArg, toCsv } = await import('./data.js');
+  const { NadoClient } = await import('../nado/client.js');
+  const { logger } = await import('../utils/logger.js');
+  const { config } = await import('../config.js');
+
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.signals || args.candles.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const messages = loadMessages(args.signals);
+  const candles = new Map();
+  for (const arg of args.candles) {
+    const { symbol, file } = parseCandlesArg(arg);
+    candles.set(NadoClient.toBaseAsset(symbol), loadCandles(file));
+  }
+
+  logger.info(`Backtesting ${messages.length} messages against ${[...candles.keys()].join(', ')} candles`);
+
+  // A configured channel (parser, whitelist, pattern) or an ad-hoc parser
+  const channel = args.channel
+    ? config.signalChannels.find(c => String(c.id) === args.channel)
+    : { id: null, parser: args.parser || 'default' };
+  if (!channel) {
+    throw new Error(`Channel ${args.channel} is not in SIGNAL_CHANNELS`);
+  }
+
+  const backtester = new Backtester({
+    candles,
+    channel,
+    ...(args.balance && { startBalance: Number(args.balance) }),
+    ...(args.fee && { feePercent: Number(args.fee) }),
+  });
+  const { trades, skipped, summary } = backtester.run(messages);
+
+  const outFile = args.out || 'backtest-trades.csv';
+  const rows = trades.map(t => ({
+    ...t,
+    signalTime: new Date(t.signalTime).toISOString(),
+    entryTime: new Date(t.entryTime).toISOString(),
+    exitTime: new Date(t.exitTime).toISOString(),
+  }));
+  fs.writeFileSync(outFile, toCsv(rows));
+
+  console.log('');
+  console.log('═══════════ BACKTEST RESULTS ═══════════');
+  console.log(`Trades:        ${summary.trades} (${summary.wins} wins / ${summary.losses} losses)`);
+  console.log(`Win rate:      ${summary.winRate.toFixed(1)}%`);
+  console.log(`PnL:           $${summary.totalPnL.toFixed(2)} (${summary.returnPercent.toFixed(2)}%), fees $${summary.fees.toFixed(2)}`);
+  console.log(`Balance:       $${summary.startBalance.toFixed(2)} → $${summary.finalBalance.toFixed(2)}`);
+  console.log(`Max drawdown:  $${summary.maxDrawdownUSD.toFixed(2)} (${summary.maxDrawdownPercent.toFixed(2)}%)`);
+  for (const [reason, count] of Object.entries(skipped)) {
+    console.log(`Skipped:       ${count} × ${reason}`);
+  }
+  console.log(`Per-trade CSV: ${outFile}`);
+}
+
+main().catch((error) => {
+  console.error(`Backtest failed: ${error.message}`);
+  process.exit(1);
+});
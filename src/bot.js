@@ -1,16 +1,33 @@
 import { NadoClient } from './nado/client.js';
-import { TradeManager } from './trading/tradeManager.js';
+import { PaperExchange } from './paper/paperExchange.js';
+import { TradeManager, MIN_EQUITY } from './trading/tradeManager.js';
+import { Reconciler } from './trading/reconciler.js';
+import { RiskGuard } from './trading/riskGuard.js';
 import { TelegramListener } from './telegram/listener.js';
 import { TelegramNotifier } from './telegram/notifier.js';
+import { TradeStore } from './storage/tradeStore.js';
+import { SettingsManager } from './settings.js';
 import { TradingHours } from './utils/tradingHours.js';
 import { logger } from './utils/logger.js';
+import { config } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past midnight, so trades closing at 23:59:59 are journaled before the report
+const REPORT_DELAY_MS = 5 * 1000;
 
 export class TradingBot {
   constructor() {
     this.nado = null;
+    this.store = null;
+    this.settings = null;
     this.tradeManager = null;
+    this.reconciler = null;
+    this.riskGuard = null;
     this.telegramListener = null;
     this.notifier = null;
+    this.reportTimer = null;
+    this.reconcileTimer = null;
+    this.riskCheckTimer = null;
     this.isRunning = false;
   }
   
@@ -18,12 +35,12 @@ export class TradingBot {
     try {
       logger.info('Starting Nado Trading Bot...');
       
-      // Initialize Nado client with SDK
-      this.nado = new NadoClient();
+      // Initialize Nado client with SDK, or the simulated exchange in paper mode
+      this.nado = config.mode === 'paper' ? new PaperExchange() : new NadoClient();
       await this.nado.initialize();
-      logger.info('Nado client initialized');
+      logger.info(`Nado client initialized (${config.mode} mode)`);
       
-      // Connect WebSocket (handled by SDK internally)
+      // Connect order/fill stream (falls back to polling while down)
       await this.nado.connectWebSocket();
       
       // Initialize notifier
@@ -33,8 +50,16 @@ export class TradingBot {
       // Verify account setup
       await this.verifyAccountSetup();
       
+      // Load persisted positions and trade history
+      this.store = new TradeStore();
+      this.store.load();
+      
+      // Settings changed with /set before the restart
+      this.settings = new SettingsManager(this.store);
+      this.settings.load();
+      
       // Initialize trade manager
-      this.tradeManager = new TradeManager(this.nado, this.notifier);
+      this.tradeManager = new TradeManager(this.nado, this.notifier, this.store);
       logger.info('Trade manager initialized');
       
       // Subscribe to order updates
@@ -42,22 +67,42 @@ export class TradingBot {
         this.tradeManager.handleOrderUpdate(data);
       });
       
+      // Mark prices of positions with a trailing stop
+      this.nado.subscribe('mark_price', (data) => {
+        this.tradeManager.handleMarkPrice(data);
+      });
+      this.nado.startMarkPriceFeed(config.nado.markPriceIntervalSeconds * 1000);
+      
+      // Resume watching orders of positions opened before a restart
+      await this.tradeManager.restorePositions();
+      this.tradeManager.startStopMonitor();
+      
+      // Compare local records with what actually exists on Nado
+      this.reconciler = new Reconciler(this.nado, this.tradeManager, this.notifier);
+      await this.reconciler.run();
+      
+      // Daily loss / losing streak / drawdown circuit breaker
+      this.riskGuard = new RiskGuard(this.nado, this.tradeManager, this.notifier, this.store);
+      this.riskGuard.load();
+      await this.riskGuard.check();
+      
       // Initialize Telegram listener
-      this.telegramListener = new TelegramListener(this.tradeManager);
+      this.telegramListener = new TelegramListener(this.tradeManager, this.notifier, this.riskGuard, this.settings);
       
       // Send startup notification
-      const balance = await this.nado.getSubaccountBalance();
-      const availableUSDT = balance.USDT0 || 0;
+      const account = await this.nado.getAccountSnapshot();
       const tradingHoursStatus = TradingHours.getStatusMessage();
       
       await this.notifier.sendStartup(
         this.nado.getAddress(),
-        availableUSDT,
+        account,
         tradingHoursStatus
       );
       
-      // Schedule daily summary (at 23:55 UTC)
-      this.scheduleDailySummary();
+      // Daily report after 00:00 UTC, weekly on Mondays, monthly on the 1st
+      this.scheduleReports();
+      this.scheduleReconciliation();
+      this.scheduleRiskChecks();
       
       this.isRunning = true;
       logger.info('✅ Bot is now running');
@@ -71,17 +116,24 @@ export class TradingBot {
   async verifyAccountSetup() {
     try {
       // Check balance
-      const balance = await this.nado.getSubaccountBalance();
-      const availableUSDT = balance.USDT0 || 0;
+      const account = await this.nado.getAccountSnapshot();
       
-      if (availableUSDT < 5) {
+      if (!account.exists) {
         throw new Error(
-          `Insufficient balance: $${availableUSDT.toFixed(2)} USDT0. ` +
-          `Minimum $5 USDT0 required for trading on Nado.`
+          `Subaccount '${this.nado.subaccountName}' of ${this.nado.getAddress()} does not exist. ` +
+          `Deposit USDT0 on Nado first.`
         );
       }
       
-      logger.info(`✅ Balance verified: $${availableUSDT.toFixed(2)} USDT0`);
+      if (account.equity < MIN_EQUITY) {
+        throw new Error(
+          `Insufficient equity: $${account.equity.toFixed(2)}. ` +
+          `Minimum $${MIN_EQUITY} USDT0 required for trading on Nado.`
+        );
+      }
+      
+      const assets = Object.entries(account.balances).map(([asset, amount]) => `${amount.toFixed(2)} ${asset}`).join(', ');
+      logger.info(`✅ Balance verified: equity $${account.equity.toFixed(2)}, free collateral $${account.freeCollateral.toFixed(2)} (${assets || 'no balances'})`);
       
       // Check if products are accessible
       const products = await this.nado.getProducts();
@@ -97,32 +149,82 @@ export class TradingBot {
     }
   }
   
-  scheduleDailySummary() {
-    // Check every hour if it's time to send summary
-    setInterval(async () => {
-      const now = new Date();
-      if (now.getUTCHours() === 23 && now.getUTCMinutes() >= 55) {
-        await this.sendDailySummary();
-      }
-    }, 60 * 60 * 1000); // Check every hour
+  /**
+   * One timer to the next UTC midnight, re-armed after each run, so every
+   * report goes out once for a complete period
+   */
+  scheduleReports() {
+    const now = new Date();
+    const periodEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    this.reportTimer = setTimeout(async () => {
+      await this.sendReports(periodEnd);
+      this.scheduleReports();
+    }, periodEnd - now.getTime() + REPORT_DELAY_MS);
   }
   
-  async sendDailySummary() {
-    try {
-      const stats = this.tradeManager.getDailyStats();
-      await this.notifier.sendDailySummary(stats, 0);
-    } catch (error) {
-      logger.error('Failed to send daily summary:', error);
+  scheduleReconciliation() {
+    if (config.reconcile.intervalMinutes <= 0) {
+      return;
+    }
+    
+    this.reconcileTimer = setInterval(() => {
+      this.reconciler.run().catch((error) => {
+        logger.error('Reconciliation failed:', error);
+      });
+    }, config.reconcile.intervalMinutes * 60 * 1000);
+  }
+  
+  scheduleRiskChecks() {
+    this.riskCheckTimer = setInterval(() => {
+      this.riskGuard.check().catch((error) => {
+        logger.error('Risk check failed:', error);
+      });
+    }, config.riskGuard.checkIntervalSeconds * 1000);
+  }
+  
+  /**
+   * Reports for the periods ending at `periodEnd` (a UTC midnight)
+   */
+  async sendReports(periodEnd) {
+    const end = new Date(periodEnd);
+    const periods = [['DAILY', periodEnd - DAY_MS]];
+    if (end.getUTCDay() === 1) {
+      periods.push(['WEEKLY', periodEnd - 7 * DAY_MS]);
+    }
+    if (end.getUTCDate() === 1) {
+      periods.push(['MONTHLY', Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, 1)]);
+    }
+
+    for (const [title, from] of periods) {
+      try {
+        const report = await this.tradeManager.getPerformance(from, periodEnd);
+        await this.notifier.sendPerformanceReport(title, report);
+      } catch (error) {
+        logger.error(`Failed to send ${title.toLowerCase()} report:`, error);
+      }
     }
   }
   
   async stop() {
     logger.info('Stopping bot...');
     
+    clearTimeout(this.reportTimer);
+    clearInterval(this.reconcileTimer);
+    clearInterval(this.riskCheckTimer);
+    
     if (this.telegramListener) {
       this.telegramListener.stop();
     }
     
+    if (this.tradeManager) {
+      this.tradeManager.stopStopMonitor();
+    }
+    
+    if (this.nado) {
+      this.nado.stopMarkPriceFeed();
+      this.nado.disconnectWebSocket();
+    }
+    
     this.isRunning = false;
     logger.info('Bot stopped');
   }
@@ -1,3 +1,4 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -20,32 +21,464 @@ function parseBool(str, defaultValue) {
   return defaultValue;
 }
 
+/**
+ * "0.5:40,0.8:40" -> [{ percent: 0.5, share: 40 }, { percent: 0.8, share: 40 }]
+ */
+function parseLadder(str) {
+  return str
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map((leg) => {
+      const [percent, share] = leg.split(':').map(Number);
+      return { percent, share };
+    });
+}
+
+function parseJsonSafe(key, str) {
+  try {
+    return JSON.parse(str);
+  } catch (error) {
+    throw new Error(`${key} is not valid JSON: ${error.message}`);
+  }
+}
+
+function readJsonFile(key, path) {
+  let text;
+  try {
+    text = fs.readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new Error(`${key} ${path} cannot be read: ${error.message}`);
+  }
+  return parseJsonSafe(`${key} ${path}`, text);
+}
+
+// Profile settings and their allowed ranges, min exclusive unless noted
+const PROFILE_NUMBERS = {
+  leverage: { min: 1, max: 100, inclusive: true },
+  riskPercent: { min: 0, max: 100 },
+  takeProfitPercent: { min: 0, max: 100 },
+  stopLossPercent: { min: 0, max: 100 },
+  maxOpenPositions: { min: 1, max: 100, inclusive: true, integer: true },
+};
+const HOURS_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// ISO date-time with an explicit offset; without one Date.parse assumes local time
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isInRange(value, { min, max, inclusive, integer }) {
+  return typeof value === 'number' &&
+    (inclusive ? value >= min : value > min) &&
+    value <= max &&
+    (!integer || Number.isInteger(value));
+}
+
+function describeRange({ min, max, inclusive, integer }) {
+  const bounds = inclusive ? `from ${min} to ${max}` : `above ${min} and at most ${max}`;
+  return `${integer ? 'an integer' : 'a number'} ${bounds}`;
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * "mon-fri" / ["sat", "sun"] / "fri-mon" -> weekday numbers, 0 = Sunday
+ */
+function parseWeekdays(path, value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const days = new Set();
+  for (const item of items) {
+    const [from, to = from] = String(item).trim().toLowerCase().split('-');
+    const first = WEEKDAYS.indexOf(from);
+    const last = WEEKDAYS.indexOf(to);
+    if (first === -1 || last === -1) {
+      throw new Error(`${path}.days has unknown weekday "${item}", expected e.g. "mon-fri" or ["sat", "sun"]`);
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Check schedule windows and normalize them: weekdays to numbers, every
+ * window with its time zone
+ * @returns {import('./utils/tradingHours.js').TradingWindow[]}
+ */
+function parseSchedule(path, windows, defaultTimezone) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    throw new Error(`${path} must be a non-empty array of { days, start, end, timezone } windows`);
+  }
+  return windows.map((window, i) => {
+    const where = `${path}[${i}]`;
+    if (!isPlainObject(window)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const unknown = Object.keys(window).find(key => !['days', 'start', 'end', 'timezone'].includes(key));
+    if (unknown) {
+      throw new Error(`${where} has unknown setting "${unknown}"`);
+    }
+    for (const key of ['start', 'end']) {
+      if (typeof window[key] !== 'string' || !HOURS_PATTERN.test(window[key])) {
+        throw new Error(`${where}.${key} must be "HH:MM", got ${JSON.stringify(window[key])}`);
+      }
+    }
+    const timezone = window.timezone ?? defaultTimezone;
+    if (!isTimeZone(timezone)) {
+      throw new Error(`${where}.timezone "${timezone}" is not an IANA time zone, e.g. "America/New_York"`);
+    }
+    return { days: parseWeekdays(where, window.days ?? 'sun-sat'), start: window.start, end: window.end, timezone };
+  });
+}
+
+/**
+ * Blackout calendar entries -> { start, end, name } in ms, sorted. An entry
+ * is either a release time `at` (padded by beforeMinutes / afterMinutes) or
+ * an explicit `start` and `end`.
+ * @returns {import('./utils/tradingHours.js').Blackout[]}
+ */
+function parseBlackouts(path, entries, { blackoutBeforeMinutes, blackoutAfterMinutes }) {
+  if (!Array.isArray(entries)) {
+    throw new Error(`${path} must be a JSON array of blackouts`);
+  }
+  const parseDate = (where, value) => {
+    if (typeof value !== 'string' || !ISO_WITH_ZONE.test(value) || isNaN(Date.parse(value))) {
+      throw new Error(`${where} must be an ISO date with a time zone, e.g. "2026-11-04T18:00:00Z", got ${JSON.stringify(value)}`);
+    }
+    return Date.parse(value);
+  };
+
+  return entries.map((entry, i) => {
+    const where = `${path}[${i}]`;
+    if (!isPlainObject(entry)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const name = entry.name || `blackout ${i + 1}`;
+    if (entry.at !== undefined) {
+      const at = parseDate(`${where}.at`, entry.at);
+      const before = entry.beforeMinutes ?? blackoutBeforeMinutes;
+      const after = entry.afterMinutes ?? blackoutAfterMinutes;
+      if (!(before >= 0) || !(after >= 0)) {
+        throw new Error(`${where}.beforeMinutes and .afterMinutes must be non-negative numbers`);
+      }
+      return { start: at - before * 60 * 1000, end: at + after * 60 * 1000, name };
+    }
+    const start = parseDate(`${where}.start`, entry.start);
+    const end = parseDate(`${where}.end`, entry.end);
+    if (end <= start) {
+      throw new Error(`${where}.end must be after its start`);
+    }
+    return { start, end, name };
+  }).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check one profile entry; `path` names it in errors, e.g. "symbols.BTCUSDT"
+ */
+function validateProfile(path, profile, allowSignalTypes) {
+  if (!isPlainObject(profile)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(profile)) {
+    const range = PROFILE_NUMBERS[key];
+    if (range) {
+      if (!isInRange(value, range)) {
+        throw new Error(`${path}.${key} must be ${describeRange(range)}, got ${JSON.stringify(value)}`);
+      }
+    } else if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${path}.enabled must be true or false, got ${JSON.stringify(value)}`);
+      }
+    } else if (key === 'tradingHours') {
+      if (!isPlainObject(value)) {
+        throw new Error(`${path}.tradingHours must be an object`);
+      }
+      for (const [hoursKey, hoursValue] of Object.entries(value)) {
+        if (['startUtc', 'endUtc'].includes(hoursKey)) {
+          if (typeof hoursValue !== 'string' || !HOURS_PATTERN.test(hoursValue)) {
+            throw new Error(`${path}.tradingHours.${hoursKey} must be "HH:MM", got ${JSON.stringify(hoursValue)}`);
+          }
+        } else if (hoursKey === 'windows') {
+          value.windows = parseSchedule(`${path}.tradingHours.windows`, hoursValue, config.tradingHours.timezone);
+        } else if (['enabled', 'flattenAtSessionEnd'].includes(hoursKey)) {
+          if (typeof hoursValue !== 'boolean') {
+            throw new Error(`${path}.tradingHours.${hoursKey} must be true or false, got ${JSON.stringify(hoursValue)}`);
+          }
+        } else {
+          throw new Error(`${path}.tradingHours has unknown setting "${hoursKey}"`);
+        }
+      }
+    } else if (key === 'signalTypes' && allowSignalTypes) {
+      if (!isPlainObject(value)) {
+        throw new Error(`${path}.signalTypes must be an object`);
+      }
+      for (const [signalType, nested] of Object.entries(value)) {
+        validateProfile(`${path}.signalTypes.${signalType}`, nested, false);
+      }
+    } else {
+      throw new Error(`${path} has unknown setting "${key}"`);
+    }
+  }
+}
+
+/**
+ * Check a parsed profiles file, throwing on the first problem. Schedule
+ * windows are normalized in place.
+ * @param {Object} profiles - `{ symbols: { BTCUSDT: {...} }, signalTypes: { SHORT_SQUEEZE: {...} } }`
+ */
+export function validateProfiles(profiles) {
+  if (!isPlainObject(profiles)) {
+    throw new Error('must be a JSON object');
+  }
+  for (const [section, entries] of Object.entries(profiles)) {
+    if (!['symbols', 'signalTypes'].includes(section)) {
+      throw new Error(`unknown section "${section}", expected "symbols" or "signalTypes"`);
+    }
+    if (!isPlainObject(entries)) {
+      throw new Error(`${section} must be an object`);
+    }
+    for (const [name, profile] of Object.entries(entries)) {
+      validateProfile(`${section}.${name}`, profile, section === 'symbols');
+    }
+  }
+}
+
+const numberSetting = (path, range) => ({
+  path,
+  parse: (key, text) => {
+    const value = Number(text);
+    if (!text.trim() || !isInRange(value, range)) {
+      throw new Error(`${key} must be ${describeRange(range)}, got "${text}"`);
+    }
+    return value;
+  },
+});
+
+const boolSetting = (path) => ({
+  path,
+  parse: (key, text) => {
+    const value = parseBool(text, null);
+    if (value === null) {
+      throw new Error(`${key} must be true or false, got "${text}"`);
+    }
+    return value;
+  },
+});
+
+const timeSetting = (path) => ({
+  path,
+  parse: (key, text) => {
+    if (!HOURS_PATTERN.test(text)) {
+      throw new Error(`${key} must be "HH:MM", got "${text}"`);
+    }
+    return text;
+  },
+});
+
+/**
+ * Settings that are checked strictly at startup and can be changed while
+ * the bot runs (`/set`): env variable -> config path and a parser that
+ * throws on invalid text. Everything that uses them reads `config` on each
+ * use, so a change takes effect on the next signal or check.
+ */
+export const RUNTIME_SETTINGS = {
+  RISK_PERCENT: numberSetting('risk.riskPercent', PROFILE_NUMBERS.riskPercent),
+  LEVERAGE: numberSetting('risk.leverage', PROFILE_NUMBERS.leverage),
+  TAKE_PROFIT_PERCENT: numberSetting('risk.takeProfitPercent', PROFILE_NUMBERS.takeProfitPercent),
+  STOP_LOSS_PERCENT: numberSetting('risk.stopLossPercent', PROFILE_NUMBERS.stopLossPercent),
+  TP_LADDER: {
+    path: 'risk.tpLadder',
+    // "off" leaves a single TAKE_PROFIT_PERCENT target
+    parse: (key, text) => {
+      const ladder = text === 'off' ? [] : parseLadder(text);
+      const share = ladder.reduce((sum, leg) => sum + leg.share, 0);
+      if (ladder.some(leg => !(leg.percent > 0) || !(leg.share > 0)) || share > 100) {
+        throw new Error(`${key} must be "percent:share" pairs with positive values and shares summing to at most 100`);
+      }
+      return ladder;
+    },
+  },
+  MAX_DAILY_TRADES: numberSetting('risk.maxDailyTrades', { min: 1, max: 1000, inclusive: true, integer: true }),
+  MAX_OPEN_POSITIONS: numberSetting('risk.maxOpenPositions', PROFILE_NUMBERS.maxOpenPositions),
+  MAX_HOLDING_MINUTES: numberSetting('risk.maxHoldingMinutes', { min: 0, max: 100000, inclusive: true }),
+  ALLOWED_SYMBOLS: {
+    path: 'allowedSymbols',
+    parse: (key, text) => {
+      const symbols = text.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+      if (symbols.length === 0 || symbols.some(symbol => !/^[A-Z0-9_-]+$/.test(symbol))) {
+        throw new Error(`${key} must be a comma-separated list of symbols, e.g. "BTCUSDT,ETHUSDT", got "${text}"`);
+      }
+      return symbols;
+    },
+  },
+  TRADING_HOURS_ENABLED: boolSetting('tradingHours.enabled'),
+  TRADING_START_UTC: timeSetting('tradingHours.startUtc'),
+  TRADING_END_UTC: timeSetting('tradingHours.endUtc'),
+  TRADING_SCHEDULE: {
+    path: 'tradingHours.windows',
+    // "off" goes back to the TRADING_START_UTC - TRADING_END_UTC window
+    parse: (key, text) => (text === 'off'
+      ? null
+      : parseSchedule(key, parseJsonSafe(key, text), config.tradingHours.timezone)),
+  },
+  FLATTEN_AT_SESSION_END: boolSetting('tradingHours.flattenAtSessionEnd'),
+};
+
+/**
+ * Current value of a RUNTIME_SETTINGS key
+ */
+export function getSetting(key) {
+  return RUNTIME_SETTINGS[key].path.split('.').reduce((section, name) => section[name], config);
+}
+
+/**
+ * Replace the value of a RUNTIME_SETTINGS key in the shared config
+ */
+export function putSetting(key, value) {
+  const names = RUNTIME_SETTINGS[key].path.split('.');
+  const last = names.pop();
+  names.reduce((section, name) => section[name], config)[last] = value;
+}
+
+// 'live' trades on Nado, 'paper' runs against the simulated exchange,
+// 'backtest' is set by the backtest CLI and needs no credentials
+const mode = getEnv('MODE', 'live', false);
+const isBacktest = mode === 'backtest';
+
+// JSON array of { id, parser, symbols, pattern } per signal channel
+const signalChannelsJson = getEnv('SIGNAL_CHANNELS', '', false);
+
+const blackoutFile = getEnv('BLACKOUT_FILE', '', false);
+
+// JSON file of per-symbol and per-signal-type overrides
+const profilesFile = getEnv('PROFILES_FILE', '', false);
+const profilesJson = profilesFile ? readJsonFile('PROFILES_FILE', profilesFile) : {};
+
 export const config = {
-  // Wallet - use private key exactly as provided
-  privateKey: getEnv('PRIVATE_KEY'),
+  mode,
+  
+  // Wallet - use private key exactly as provided (not needed for paper trading)
+  privateKey: getEnv('PRIVATE_KEY', null, mode === 'live'),
   
   // Telegram
   telegram: {
-    botToken: getEnv('TELEGRAM_BOT_TOKEN'),
-    channelId: getEnv('TELEGRAM_CHANNEL_ID'),
-    notifyChatId: getEnv('TELEGRAM_NOTIFY_CHAT_ID'),
+    botToken: getEnv('TELEGRAM_BOT_TOKEN', null, !isBacktest),
+    channelId: getEnv('TELEGRAM_CHANNEL_ID', null, !isBacktest && !signalChannelsJson),
+    notifyChatId: getEnv('TELEGRAM_NOTIFY_CHAT_ID', null, !isBacktest),
+    // User IDs allowed to run bot commands in the notify chat
+    adminUserIds: getEnv('TELEGRAM_ADMIN_IDS', '', false)
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean),
   },
   
   // Nado API
   nado: {
     restApi: getEnv('NADO_REST_API', 'https://api.nado.xyz', false),
-    wsUrl: getEnv('NADO_WS_URL', 'wss://api.nado.xyz/ws', false),
+    // Subscription gateway; defaults to the SDK endpoint for the network
+    wsUrl: getEnv('NADO_WS_URL', '', false),
     subaccount: getEnv('SUBACCOUNT', 'default', false),
+    network: getEnv('NADO_NETWORK', 'mainnet', false),
+    // Mark price polling for positions that need live prices (trailing stops)
+    markPriceIntervalSeconds: parseFloatSafe(getEnv('MARK_PRICE_INTERVAL_SECONDS', '2'), 2),
   },
   
   // Risk Management
   risk: {
+    // Equity lost when the stop fills; size follows from the stop distance
     riskPercent: parseFloatSafe(getEnv('RISK_PERCENT', '2.5'), 2.5),
     takeProfitPercent: parseFloatSafe(getEnv('TAKE_PROFIT_PERCENT', '0.8'), 0.8),
+    // Partial exits "percent:share,...", the unassigned share runs until the stop;
+    // empty = one TP at TAKE_PROFIT_PERCENT for the whole position
+    tpLadder: parseLadder(getEnv('TP_LADDER', '', false)),
+    breakevenAfterTp1: parseBool(getEnv('BREAKEVEN_AFTER_TP1', 'true', false), true),
+    trailAfterTp1Percent: parseFloatSafe(getEnv('TRAIL_AFTER_TP1_PERCENT', '0'), 0),
     stopLossPercent: parseFloatSafe(getEnv('STOP_LOSS_PERCENT', '0.3'), 0.3),
+    // Cap on position notional / equity (the product's own limit also applies)
     leverage: parseFloatSafe(getEnv('LEVERAGE', '20'), 20),
     maxDailyTrades: parseInt(getEnv('MAX_DAILY_TRADES', '5'), 10),
     maxOpenPositions: parseInt(getEnv('MAX_OPEN_POSITIONS', '1'), 10),
+    // 'native' = stop-market trigger orders on Nado, 'software' = bot watches mark price
+    stopMode: getEnv('STOP_MODE', 'native', false),
+    stopCheckIntervalSeconds: parseFloatSafe(getEnv('STOP_CHECK_INTERVAL_SECONDS', '2'), 2),
+    entryTimeoutSeconds: parseFloatSafe(getEnv('ENTRY_TIMEOUT_SECONDS', '30'), 30),
+    // Close positions held longer than this from the entry fill, 0 = no limit
+    maxHoldingMinutes: parseFloatSafe(getEnv('MAX_HOLDING_MINUTES', '0'), 0),
+  },
+  
+  // Account-level circuit breakers (0 = off); a halt blocks new entries
+  // until the next UTC day (daily loss, loss streak) or /resume
+  riskGuard: {
+    maxDailyLossPercent: parseFloatSafe(getEnv('MAX_DAILY_LOSS_PERCENT', '5'), 5),
+    maxConsecutiveLosses: parseInt(getEnv('MAX_CONSECUTIVE_LOSSES', '0'), 10),
+    maxDrawdownPercent: parseFloatSafe(getEnv('MAX_DRAWDOWN_PERCENT', '0'), 0),
+    flattenOnHalt: parseBool(getEnv('FLATTEN_ON_HALT', 'false', false), false),
+    checkIntervalSeconds: parseFloatSafe(getEnv('RISK_CHECK_INTERVAL_SECONDS', '15'), 15),
+  },
+  
+  // Margin checks run before every entry
+  preTrade: {
+    enabled: parseBool(getEnv('PRETRADE_CHECKS', 'true', false), true),
+    // Initial health left after the order, in percent of the order notional
+    minHealthPercent: parseFloatSafe(getEnv('PRETRADE_MIN_HEALTH_PERCENT', '1'), 1),
+    // Gap required between the stop and the estimated liquidation price, in percent of entry
+    liquidationBufferPercent: parseFloatSafe(getEnv('PRETRADE_LIQUIDATION_BUFFER_PERCENT', '1'), 1),
+    // 24h funding the position would pay, 0 = ignore funding
+    maxFundingRatePercent: parseFloatSafe(getEnv('MAX_FUNDING_RATE_PERCENT', '0.3'), 0.3),
+  },
+  
+  // Which signals are acted on: stale, drifted, repeated, conflicting, after a stop-out
+  signalPolicy: {
+    maxAgeSeconds: parseFloatSafe(getEnv('SIGNAL_MAX_AGE_SECONDS', '120'), 120),
+    // Mark vs the provider's last price at signal time
+    maxPriceDriftPercent: parseFloatSafe(getEnv('SIGNAL_MAX_PRICE_DRIFT_PERCENT', '1'), 1),
+    // ignore | reverse (close and flip) | scale_in | close_only
+    conflictPolicy: getEnv('SIGNAL_CONFLICT_POLICY', 'ignore', false),
+    // Per-symbol overrides, e.g. {"BTCUSDT":"reverse","ETH":"scale_in"}
+    symbolPolicies: parseJsonSafe('SIGNAL_CONFLICT_POLICIES', getEnv('SIGNAL_CONFLICT_POLICIES', '{}', false)),
+    maxScaleIns: parseInt(getEnv('MAX_SCALE_INS', '1'), 10),
+    dedupWindowMinutes: parseFloatSafe(getEnv('SIGNAL_DEDUP_WINDOW_MINUTES', '60'), 60),
+    stopOutCooldownMinutes: parseFloatSafe(getEnv('STOP_OUT_COOLDOWN_MINUTES', '30'), 30),
+  },
+  
+  // Entry/TP/SL levels sent by signal providers
+  signalLevels: {
+    enabled: parseBool(getEnv('USE_SIGNAL_LEVELS', 'true', false), true),
+    limitEntries: parseBool(getEnv('LIMIT_ENTRIES', 'true', false), true),
+    limitEntryExpiryMinutes: parseFloatSafe(getEnv('LIMIT_ENTRY_EXPIRY_MINUTES', '15'), 15),
+    maxEntryDeviationPercent: parseFloatSafe(getEnv('SIGNAL_MAX_ENTRY_DEVIATION_PERCENT', '2'), 2),
+    minStopPercent: parseFloatSafe(getEnv('SIGNAL_MIN_STOP_PERCENT', '0.1'), 0.1),
+    maxStopPercent: parseFloatSafe(getEnv('SIGNAL_MAX_STOP_PERCENT', '10'), 10),
+    maxTakeProfitPercent: parseFloatSafe(getEnv('SIGNAL_MAX_TP_PERCENT', '30'), 30),
+  },
+  
+  // Trailing stop from entry: 'off', 'percent' or 'atr' distance behind mark
+  trailingStop: {
+    mode: getEnv('TRAILING_STOP_MODE', 'off', false),
+    percent: parseFloatSafe(getEnv('TRAILING_STOP_PERCENT', '0.5'), 0.5),
+    atrPeriod: parseInt(getEnv('TRAILING_ATR_PERIOD', '14'), 10),
+    atrMultiplier: parseFloatSafe(getEnv('TRAILING_ATR_MULTIPLIER', '2'), 2),
+    // Candle period in seconds: 60, 300, 900, 3600, 7200, 14400 or 86400
+    atrTimeframeSeconds: parseInt(getEnv('TRAILING_ATR_TIMEFRAME_SECONDS', '300'), 10),
+    // Profit in percent before the stop starts trailing, 0 = from entry
+    activationPercent: parseFloatSafe(getEnv('TRAILING_ACTIVATION_PERCENT', '0'), 0),
+    // Minimum time between two stop amendments of one position
+    minAmendSeconds: parseFloatSafe(getEnv('TRAILING_MIN_AMEND_SECONDS', '10'), 10),
+    // Notify when the stop has moved this far (percent of entry) since the last notice
+    notifyStepPercent: parseFloatSafe(getEnv('TRAILING_NOTIFY_STEP_PERCENT', '0.2'), 0.2),
   },
   
   // Trading Hours
@@ -53,6 +486,15 @@ export const config = {
     enabled: parseBool(getEnv('TRADING_HOURS_ENABLED', 'true'), true),
     startUtc: getEnv('TRADING_START_UTC', '05:00', false),
     endUtc: getEnv('TRADING_END_UTC', '14:00', false),
+    flattenAtSessionEnd: parseBool(getEnv('FLATTEN_AT_SESSION_END', 'false', false), false),
+    // Zone of TRADING_SCHEDULE windows that name none
+    timezone: getEnv('TRADING_TIMEZONE', 'UTC', false),
+    // TRADING_SCHEDULE windows, set below; replace the daily TRADING_START_UTC - TRADING_END_UTC window
+    windows: null,
+    // No entries during these, trading hours or not; normalized below
+    blackouts: blackoutFile ? readJsonFile('BLACKOUT_FILE', blackoutFile) : [],
+    blackoutBeforeMinutes: parseFloatSafe(getEnv('BLACKOUT_BEFORE_MINUTES', '15'), 15),
+    blackoutAfterMinutes: parseFloatSafe(getEnv('BLACKOUT_AFTER_MINUTES', '30'), 30),
   },
   
   // Symbols
@@ -61,32 +503,107 @@ export const config = {
     .map(s => s.trim())
     .filter(Boolean),
   
+  // Signal sources; without SIGNAL_CHANNELS the single legacy channel
+  signalChannels: signalChannelsJson
+    ? parseJsonSafe('SIGNAL_CHANNELS', signalChannelsJson)
+    : [{ id: process.env.TELEGRAM_CHANNEL_ID || null, parser: 'default' }],
+  
+  // Strategy profiles; see resolveProfile() in trading/profiles.js
+  profiles: {
+    file: profilesFile || null,
+    symbols: profilesJson?.symbols || {},
+    signalTypes: profilesJson?.signalTypes || {},
+  },
+  
+  // Exchange state reconciliation
+  reconcile: {
+    intervalMinutes: parseFloatSafe(getEnv('RECONCILE_INTERVAL_MINUTES', '5'), 5),
+  },
+  
+  // Paper trading
+  paper: {
+    startBalance: parseFloatSafe(getEnv('PAPER_BALANCE', '1000'), 1000),
+    takerFeePercent: parseFloatSafe(getEnv('PAPER_TAKER_FEE_PERCENT', '0.05'), 0.05),
+    makerFeePercent: parseFloatSafe(getEnv('PAPER_MAKER_FEE_PERCENT', '0.02'), 0.02),
+    priceFeedFile: getEnv('PAPER_PRICE_FEED', '', false),
+    tickMs: parseInt(getEnv('PAPER_TICK_MS', '1000'), 10),
+    seed: parseInt(getEnv('PAPER_SEED', '1'), 10),
+    volatilityPercent: parseFloatSafe(getEnv('PAPER_VOLATILITY_PERCENT', '0.05'), 0.05),
+  },
+  
+  // Persistence (paper runs keep a separate journal)
+  storage: {
+    dataDir: getEnv('DATA_DIR', mode === 'paper' ? './data/paper' : './data', false),
+  },
+  
   // Logging
   logLevel: getEnv('LOG_LEVEL', 'info', false),
 };
 
 // Validate configuration
-if (!config.privateKey) {
-  throw new Error('PRIVATE_KEY is required');
+const MODES = ['live', 'paper', 'backtest'];
+if (!MODES.includes(config.mode)) {
+  throw new Error(`MODE must be one of ${MODES.map(m => `'${m}'`).join(', ')}`);
+}
+
+if (!Array.isArray(config.signalChannels) || config.signalChannels.some(c => !isBacktest && !c.id)) {
+  throw new Error('SIGNAL_CHANNELS must be an array of channels, each with an id');
+}
+
+if (!['off', 'percent', 'atr'].includes(config.trailingStop.mode)) {
+  throw new Error("TRAILING_STOP_MODE must be 'off', 'percent' or 'atr'");
+}
+
+if (![60, 300, 900, 3600, 7200, 14400, 86400].includes(config.trailingStop.atrTimeframeSeconds)) {
+  throw new Error('TRAILING_ATR_TIMEFRAME_SECONDS must be one of 60, 300, 900, 3600, 7200, 14400, 86400');
+}
+
+const CONFLICT_POLICIES = ['ignore', 'reverse', 'scale_in', 'close_only'];
+const symbolPolicies = config.signalPolicy.symbolPolicies;
+if (!symbolPolicies || typeof symbolPolicies !== 'object' || Array.isArray(symbolPolicies) ||
+  ![config.signalPolicy.conflictPolicy, ...Object.values(symbolPolicies)].every(p => CONFLICT_POLICIES.includes(p))) {
+  throw new Error(`SIGNAL_CONFLICT_POLICY and SIGNAL_CONFLICT_POLICIES values must be one of ${CONFLICT_POLICIES.join(', ')}`);
 }
 
-// Remove 0x prefix for validation if present
-const keyWithoutPrefix = config.privateKey.replace(/^0x/, '');
-if (keyWithoutPrefix.length !== 64) {
-  throw new Error(`PRIVATE_KEY invalid: expected 64 hex chars, got ${keyWithoutPrefix.length}`);
+const { tradingHours } = config;
+if (!isTimeZone(tradingHours.timezone)) {
+  throw new Error(`TRADING_TIMEZONE "${tradingHours.timezone}" is not an IANA time zone, e.g. "Europe/Kyiv"`);
+}
+
+// Runtime settings given in the environment go through the parsers /set uses
+for (const [key, setting] of Object.entries(RUNTIME_SETTINGS)) {
+  if (process.env[key]) {
+    putSetting(key, setting.parse(key, process.env[key]));
+  }
 }
 
-// Validate hex format
-if (!/^[0-9a-fA-F]{64}$/.test(keyWithoutPrefix)) {
-  throw new Error('PRIVATE_KEY must contain only hex characters (0-9, a-f, A-F)');
+tradingHours.blackouts = parseBlackouts(`BLACKOUT_FILE ${blackoutFile}`, tradingHours.blackouts, tradingHours);
+
+try {
+  validateProfiles(profilesJson);
+} catch (error) {
+  throw new Error(`PROFILES_FILE ${profilesFile}: ${error.message}`);
 }
 
-if (config.risk.riskPercent <= 0 || config.risk.riskPercent > 100) {
-  throw new Error('RISK_PERCENT must be between 0 and 100');
+if (config.mode === 'live') {
+  if (!config.privateKey) {
+    throw new Error('PRIVATE_KEY is required');
+  }
+  
+  // Remove 0x prefix for validation if present
+  const keyWithoutPrefix = config.privateKey.replace(/^0x/, '');
+  if (keyWithoutPrefix.length !== 64) {
+    throw new Error(`PRIVATE_KEY invalid: expected 64 hex chars, got ${keyWithoutPrefix.length}`);
+  }
+  
+  // Validate hex format
+  if (!/^[0-9a-fA-F]{64}$/.test(keyWithoutPrefix)) {
+    throw new Error('PRIVATE_KEY must contain only hex characters (0-9, a-f, A-F)');
+  }
 }
 
-if (config.risk.leverage < 1 || config.risk.leverage > 100) {
-  throw new Error('LEVERAGE must be between 1 and 100');
+if (!['native', 'software'].includes(config.risk.stopMode)) {
+  throw new Error("STOP_MODE must be 'native' or 'software'");
 }
 
 console.log('✅ Configuration loaded successfully');
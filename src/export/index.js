@@ -0,0 +1,53 @@
+/**
+ * Journal export CLI
+ *
+ *   npm run export -- [--from 2024-05-01] [--to 2024-05-31] [--format csv|json] [--out journal.csv]
+ *
+ * Reads the journal in DATA_DIR of the usual environment; `--to` days are inclusive.
+ */
+import fs from 'fs';
+
+const USAGE = 'Usage: npm run export -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format csv|json] [--out <file>]';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    args[key] = value;
+  }
+  return args;
+}
+
+async function main() {
+  const { TradeStore } = await import('../storage/tradeStore.js');
+  const { EXPORT_FORMATS, buildJournalExport, exportFileName, formatJournalExport, parseDateRange } = await import('./journalExport.js');
+
+  const args = parseArgs(process.argv.slice(2));
+  const format = args.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { from, to } = parseDateRange(args.from, args.to);
+  const store = new TradeStore();
+  store.load();
+
+  const data = buildJournalExport(store, from, to);
+  const outFile = args.out || exportFileName(from, to, format);
+  fs.writeFileSync(outFile, formatJournalExport(data, format));
+
+  console.log(`Signals:  ${data.signals.length} received, ${data.skipped.length} skipped`);
+  console.log(`Orders:   ${data.orders.length}, fills ${data.fills.length}`);
+  console.log(`Trades:   ${data.trades.length} closed, net PnL $${data.trades.reduce((sum, t) => sum + (t.netPnL ?? 0), 0).toFixed(2)}`);
+  console.log(`Export:   ${outFile}`);
+}
+
+main().catch((error) => {
+  console.error(`Export failed: ${error.message}`);
+  process.exit(1);
+});
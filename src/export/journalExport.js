@@ -0,0 +1,157 @@
+import { toCsv } from '../backtest/data.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One flat CSV table, every record type fills the columns it has
+const CSV_COLUMNS = [
+  'record', 'time', 'channelId', 'messageId', 'symbol', 'side', 'signalType',
+  'positionDigest', 'orderDigest', 'role', 'amount', 'price', 'fee',
+  'entryPrice', 'exitPrice', 'size', 'pnlUSD', 'feesUSD', 'netPnL', 'riskUSD', 'reason', 'detail',
+];
+
+/**
+ * Export range from "YYYY-MM-DD" days (`to` inclusive) or ISO timestamps;
+ * without bounds from the first journal entry to now
+ * @param {string} [fromText]
+ * @param {string} [toText]
+ * @returns {{ from: number, to: number }} [from, to) in ms since epoch
+ */
+export function parseDateRange(fromText, toText) {
+  const parse = (text, isEnd) => {
+    const time = Date.parse(DAY_PATTERN.test(text) ? `${text}T00:00:00Z` : text);
+    if (isNaN(time)) {
+      throw new Error(`Invalid date "${text}", use YYYY-MM-DD or an ISO timestamp`);
+    }
+    return isEnd && DAY_PATTERN.test(text) ? time + DAY_MS : time;
+  };
+
+  const from = fromText ? parse(fromText, false) : 0;
+  const to = toText ? parse(toText, true) : Date.now();
+  if (from >= to) {
+    throw new Error(`Empty range: ${fromText} is not before ${toText || 'now'}`);
+  }
+  return { from, to };
+}
+
+/**
+ * Journal records in [from, to) for accounting: signals received, signals
+ * skipped with the reason, orders, fills and closed trades. Orders, fills and
+ * trades carry the digest of their position and the channel and message ID of
+ * the signal that opened it.
+ * @param {import('../storage/tradeStore.js').TradeStore} store
+ * @param {number} from
+ * @param {number} to
+ */
+export function buildJournalExport(store, from, to) {
+  const inRange = (time) => time >= from && time < to;
+  const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+  // Order digest -> role and entry digest of its position
+  const orders = new Map(store.orders.map(o => [o.digest, { role: o.role, positionDigest: o.positionDigest || o.digest }]));
+  const positions = new Map(
+    [...store.closedTrades, ...store.discardedPositions, ...store.getOpenPositions()].map(p => [p.digest, p])
+  );
+  const origin = (positionDigest) => {
+    const position = positions.get(positionDigest);
+    return {
+      positionDigest,
+      channelId: position?.channelId ?? null,
+      messageId: position?.messageId ?? null,
+      symbol: position?.symbol ?? null,
+      side: position?.side ?? null,
+      signalType: position?.signalType ?? null,
+    };
+  };
+
+  return {
+    from: iso(from),
+    to: iso(to),
+    signals: store.signals.filter(s => inRange(s.receivedAt)).map(s => ({
+      record: 'signal',
+      time: iso(s.receivedAt),
+      channelId: s.channelId ?? null,
+      messageId: s.messageId ?? null,
+      symbol: s.symbol,
+      side: s.side,
+      signalType: s.signalType ?? null,
+      price: s.entry ?? null,
+      detail: [
+        s.takeProfits?.length ? `TP ${s.takeProfits.join('/')}` : null,
+        s.stopLoss != null ? `SL ${s.stopLoss}` : null,
+        s.leverage != null ? `${s.leverage}x` : null,
+      ].filter(Boolean).join(' ') || null,
+    })),
+    skipped: store.skippedSignals.filter(s => inRange(s.skippedAt)).map(s => ({
+      record: 'skip',
+      time: iso(s.skippedAt),
+      channelId: s.channelId ?? null,
+      messageId: s.messageId ?? null,
+      symbol: s.symbol ?? null,
+      side: s.side ?? null,
+      signalType: s.signalType ?? null,
+      reason: s.reason,
+    })),
+    orders: store.orders.filter(o => inRange(o.placedAt)).map(o => ({
+      record: 'order',
+      time: iso(o.placedAt),
+      ...origin(orders.get(o.digest).positionDigest),
+      orderDigest: o.digest,
+      role: o.role,
+      amount: o.amount,
+      price: o.triggerPrice ?? o.price,
+      detail: o.orderType,
+    })),
+    fills: store.fills.filter(f => inRange(f.recordedAt)).map(f => ({
+      record: 'fill',
+      time: iso(f.recordedAt),
+      ...origin(orders.get(f.digest)?.positionDigest ?? null),
+      orderDigest: f.digest,
+      role: orders.get(f.digest)?.role ?? null,
+      amount: f.filledAmount,
+      price: f.fillPrice ?? f.avgFillPrice,
+      fee: f.fee ?? null,
+      detail: f.status,
+    })),
+    trades: store.closedTrades.filter(t => inRange(t.closeTime)).map(t => ({
+      record: 'close',
+      time: iso(t.closeTime),
+      ...origin(t.digest),
+      entryPrice: t.entryPrice,
+      exitPrice: t.exitPrice,
+      size: t.initialSize ?? t.size,
+      pnlUSD: t.pnlUSD,
+      feesUSD: t.feesUSD || 0,
+      netPnL: t.pnlUSD == null ? null : t.pnlUSD - (t.feesUSD || 0),
+      riskUSD: t.sizing?.riskUSD ?? null,
+      reason: t.reason,
+      detail: `opened ${iso(t.openTime)}`,
+    })),
+  };
+}
+
+/**
+ * "journal_2024-05-01_2024-05-31.csv", "journal_start_2024-05-31.json"
+ */
+export function exportFileName(from, to, format) {
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  return `journal_${from ? day(from) : 'start'}_${day(to - 1)}.${format}`;
+}
+
+/**
+ * JSON keeps the record types apart, CSV merges them into one table sorted
+ * by time
+ * @param {ReturnType<typeof buildJournalExport>} data
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export function formatJournalExport(data, format) {
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+  const rows = [...data.signals, ...data.skipped, ...data.orders, ...data.fills, ...data.trades]
+    .sort((a, b) => a.time.localeCompare(b.time));
+  return toCsv(rows, CSV_COLUMNS);
+}
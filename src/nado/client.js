@@ -1,15 +1,142 @@
-import { createNadoClient } from '@nadohq/client';
-import { createWalletClient, http, getAddress } from 'viem'; // Додали getAddress з viem
+import {
+  createNadoClient,
+  packOrderAppendix,
+  subaccountToHex,
+  ProductEngineType,
+  ENGINE_WS_SUBSCRIPTION_CLIENT_ENDPOINTS,
+} from '@nadohq/client';
+import { createPublicClient, createWalletClient, http, getAddress } from 'viem'; // Додали getAddress з viem
 import { privateKeyToAccount } from 'viem/accounts';
 import { ink, inkSepolia } from 'viem/chains';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { OrderStream } from './orderStream.js';
+import { parseX18, formatX18, fromX18, roundX18ToIncrement } from '../utils/x18.js';
+
+export const ORDER_TYPES = ['default', 'ioc', 'fok', 'post_only'];
+export const TRIGGER_CONDITIONS = ['above', 'below'];
+
+const PRODUCTS_CACHE_TTL_MS = 5 * 60 * 1000;
+const RESTING_ORDER_TTL_SECONDS = 30 * 24 * 60 * 60;
+const IMMEDIATE_ORDER_TTL_SECONDS = 60;
+const ORDER_POLL_INTERVAL_MS = 5000;
+const UNMATCHED_EVENT_TTL_MS = 60 * 1000;
+// Worst price a stop-market order accepts once triggered
+const STOP_MARKET_SLIPPAGE = 0.01;
+
+// Account snapshot: attempts before giving up, first backoff delay
+const SNAPSHOT_ATTEMPTS = 3;
+const SNAPSHOT_RETRY_BASE_DELAY_MS = 1000;
+// USDT0, the quote and collateral asset
+const QUOTE_PRODUCT_ID = 0;
+// Indexer page size and page cap of funding payment history
+const FUNDING_PAGE_SIZE = 100;
+const FUNDING_MAX_PAGES = 20;
+// Same for fill (match) history
+const FILLS_PAGE_SIZE = 100;
+const FILLS_MAX_PAGES = 10;
+
+// Quote suffixes used by signal providers that Nado does not use in its symbols
+const QUOTE_SUFFIXES = ['USDT0', 'USDT', 'USDC', 'USD'];
+
+/**
+ * @typedef {Object} NadoProduct
+ * @property {number} productId
+ * @property {string} symbol - Nado symbol, e.g. BTC-PERP
+ * @property {'perp'|'spot'} type
+ * @property {number} priceIncrement - Price tick in quote units
+ * @property {number} sizeIncrement - Size step in base units
+ * @property {number} minSize - Minimum resting order size in base units
+ * @property {bigint} priceIncrementX18
+ * @property {bigint} sizeIncrementX18
+ * @property {bigint} minSizeX18
+ * @property {number} makerFeeRate
+ * @property {number} takerFeeRate
+ * @property {number} maxLeverage - From the initial margin weight
+ */
+
+/**
+ * @typedef {Object} AccountSnapshot
+ * @property {boolean} exists - False until the first deposit
+ * @property {Object<string, number>} balances - Spot balances by asset, e.g. { USDT0: 1000 }
+ * @property {number} unrealizedPnL - Perp positions at oracle price, unsettled funding included
+ * @property {number} equity - Unweighted health: balances plus unrealized PnL
+ * @property {number} freeCollateral - Initial health, floored at zero
+ * @property {number} initialHealth
+ * @property {number} maintenanceHealth
+ * @property {number} timestamp
+ */
+
+/**
+ * Subaccount health in quote units. Initial health below zero blocks new
+ * risk, maintenance health below zero gets the subaccount liquidated.
+ * @typedef {Object} MarginSummary
+ * @property {number} initialHealth
+ * @property {number} maintenanceHealth
+ * @property {{ productId: number, amount: number, oraclePrice: number, longWeightMaintenance: number, shortWeightMaintenance: number }[]} perps
+ */
+
+/**
+ * @typedef {Object} OrderRequest
+ * @property {number} productId
+ * @property {number|string} price - Limit price in quote units
+ * @property {number|string} amount - Base amount, positive to buy, negative to sell
+ * @property {'default'|'ioc'|'fok'|'post_only'} [orderType='default']
+ * @property {boolean} [reduceOnly=false]
+ * @property {number} [ttlSeconds] - Order lifetime, defaults depend on order type
+ */
+
+/**
+ * @typedef {Object} TriggerOrderRequest
+ * @property {number} productId
+ * @property {number|string} triggerPrice
+ * @property {'above'|'below'} condition - Fire when the last price crosses above/below the trigger
+ * @property {number|string} amount - Base amount, positive to buy, negative to sell
+ * @property {number|string} [limitPrice] - Stop-limit price; omit for stop-market
+ * @property {boolean} [reduceOnly=true]
+ */
+
+/**
+ * @typedef {Object} PlacedOrder
+ * @property {string} digest
+ * @property {number} productId
+ * @property {number} price - Price after rounding to the product tick
+ * @property {number} amount - Amount after rounding to the product size step
+ * @property {string} orderType
+ * @property {boolean} reduceOnly
+ */
+
+/**
+ * Normalized event delivered to `order_update` subscribers, whether it came
+ * from the websocket or from the polling fallback.
+ * @typedef {Object} OrderUpdate
+ * @property {string} digest
+ * @property {number} productId
+ * @property {'partially_filled'|'filled'|'cancelled'} status
+ * @property {number} filledAmount - Base amount filled by this event (absolute)
+ * @property {number} totalFilled - Cumulative filled base amount (absolute)
+ * @property {number} remainingAmount - Unfilled base amount (absolute)
+ * @property {number|null} fillPrice - Price of this fill
+ * @property {number|null} avgFillPrice - Volume-weighted price of all fills so far
+ * @property {number} fee - Fee charged for this fill in quote units
+ * @property {number} timestamp - Milliseconds since epoch
+ * @property {'ws'|'poll'|'paper'} source
+ */
 
 export class NadoClient {
   constructor() {
     this.client = null;
     this.address = null;
+    this.subaccountName = config.nado.subaccount || 'default';
     this.subscriptions = new Map();
+    this.trackedOrders = new Map(); // digest -> fill progress of orders we placed
+    this.unmatchedEvents = new Map(); // digest -> stream events that arrived before placeOrder returned
+    this.orderStream = null;
+    this.pollTimer = null;
+    this.watchedPrices = new Map(); // productId -> number of watchers
+    this.markPriceTimer = null;
+    this.products = null;
+    this.productsFetchedAt = 0;
   }
   
   async initialize() {
@@ -22,8 +149,11 @@ export class NadoClient {
       // Важливо: getAddress(account.address) гарантує правильний Checksum формат
       this.address = getAddress(account.address);
       
-      const network = config.nado.network || 'inkMainnet';
+      const network = ['testnet', 'inkTestnet'].includes(config.nado.network)
+        ? 'inkTestnet'
+        : 'inkMainnet';
       const chain = network === 'inkTestnet' ? inkSepolia : ink;
+      this.network = network;
       
       logger.info(`Initializing Nado client for ${this.address}...`);
       
@@ -33,7 +163,12 @@ export class NadoClient {
         transport: http(),
       });
       
-      this.client = createNadoClient(network, walletClient);
+      const publicClient = createPublicClient({
+        chain,
+        transport: http(),
+      });
+      
+      this.client = createNadoClient(network, { walletClient, publicClient });
       logger.info(`✅ Nado client initialized`);
     } catch (error) {
       logger.error('Failed to initialize Nado client:', error);
@@ -46,55 +181,597 @@ export class NadoClient {
     return this.address;
   }
 
-  async getSubaccountBalance() {
-    try {
-      const subName = config.nado.subaccount || 'default';
-      
-      // Спроба через офіційний метод
-      const summary = await this.client.subaccount.getSubaccountSummary({
-        owner: this.address,
-        name: subName
-      });
-      
-      if (summary && summary.health) {
-        const bal = Number(summary.health.totalDeposited) / 1e18;
-        logger.info(`💰 Balance: $${bal.toFixed(2)}`);
-        return { USDT0: bal };
+  getSubaccount() {
+    return { subaccountOwner: this.address, subaccountName: this.subaccountName };
+  }
+
+  /**
+   * Balances, equity and health of the subaccount at oracle prices. Transient
+   * failures are retried with backoff, then thrown: callers never get
+   * made-up numbers.
+   * @returns {Promise<AccountSnapshot>}
+   */
+  async getAccountSnapshot() {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.fetchAccountSnapshot();
+      } catch (error) {
+        if (attempt >= SNAPSHOT_ATTEMPTS) {
+          throw new Error(`Account snapshot failed after ${attempt} attempts: ${error.message}`);
+        }
+        const delay = SNAPSHOT_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        logger.info(`Account snapshot failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-      
-      return { USDT0: 100.0 }; // Байпас, якщо баланс порожній
-    } catch (error) {
-      // Якщо SDK все ще лається на "20 bytes", просто ігноруємо і даємо боту запуститися
-      logger.info('Balance bypass active ($100.00)');
-      return { USDT0: 100.0 };
     }
   }
 
-  async getProducts() {
-    try {
-      // Спроба отримати реальні ринки через market модуль
-      if (this.client.market) {
-        const products = await this.client.market.getAllProducts();
-        if (products && products.length > 0) return products;
+  async fetchAccountSnapshot() {
+    const summary = await this.client.subaccount.getSubaccountSummary(this.getSubaccount());
+    const products = await this.getProducts();
+
+    const balances = {};
+    let unrealizedPnL = 0;
+    for (const b of summary.balances) {
+      const amount = fromX18(b.amount.toFixed(0));
+      if (b.type === ProductEngineType.PERP) {
+        unrealizedPnL += amount * b.oraclePrice.toNumber() + fromX18(b.vQuoteBalance.toFixed(0));
+      } else if (amount !== 0) {
+        const symbol = b.productId === QUOTE_PRODUCT_ID
+          ? 'USDT0'
+          : products.find(p => p.productId === b.productId)?.symbol || `#${b.productId}`;
+        balances[symbol] = amount;
       }
-      
-      // Якщо API мовчить, даємо дефолтні, щоб бот не впав
-      return [
-        { productId: 1, symbol: 'BTCUSDT', ticker: 'BTCUSDT' },
-        { productId: 2, symbol: 'ETHUSDT', ticker: 'ETHUSDT' }
-      ];
-    } catch (error) {
-      return [{ productId: 1, symbol: 'BTCUSDT' }];
     }
+
+    const { initial, maintenance, unweighted } = summary.health;
+    const initialHealth = fromX18(initial.health.toFixed(0));
+    return {
+      exists: summary.exists,
+      balances,
+      unrealizedPnL,
+      equity: fromX18(unweighted.health.toFixed(0)),
+      freeCollateral: Math.max(0, initialHealth),
+      initialHealth,
+      maintenanceHealth: fromX18(maintenance.health.toFixed(0)),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Fetch all tradable products, cached for a few minutes
+   * @param {boolean} [forceRefresh=false]
+   * @returns {Promise<NadoProduct[]>}
+   */
+  async getProducts(forceRefresh = false) {
+    const isFresh = this.products && Date.now() - this.productsFetchedAt < PRODUCTS_CACHE_TTL_MS;
+    if (isFresh && !forceRefresh) {
+      return this.products;
+    }
+    
+    const { symbols } = await this.client.context.engineClient.getSymbols({});
+    
+    this.products = Object.values(symbols).map((s) => ({
+      productId: s.productId,
+      symbol: s.symbol,
+      type: s.type === ProductEngineType.PERP ? 'perp' : 'spot',
+      priceIncrement: s.priceIncrement.toNumber(),
+      sizeIncrement: fromX18(s.sizeIncrement.toFixed(0)),
+      minSize: fromX18(s.minSize.toFixed(0)),
+      priceIncrementX18: parseX18(s.priceIncrement.toFixed()),
+      sizeIncrementX18: BigInt(s.sizeIncrement.toFixed(0)),
+      minSizeX18: BigInt(s.minSize.toFixed(0)),
+      makerFeeRate: s.makerFeeRate.toNumber(),
+      takerFeeRate: s.takerFeeRate.toNumber(),
+      // Initial margin weight w allows 1 / (1 - w) leverage
+      maxLeverage: 1 / (1 - s.longWeightInitial.toNumber()),
+    }));
+    this.productsFetchedAt = Date.now();
+    
+    return this.products;
   }
 
+  /**
+   * @param {number} productId
+   * @returns {Promise<NadoProduct|undefined>}
+   */
   async getProductById(productId) {
     const products = await this.getProducts();
-    return products.find(p => p.productId === productId || p.id === productId);
+    return products.find(p => p.productId === productId);
+  }
+
+  /**
+   * Look up a perp product by ticker, accepting signal-style aliases
+   * (BTCUSDT, BTC/USDT, BTC-PERP and BTC all resolve to BTC-PERP)
+   * @param {string} symbol
+   * @returns {Promise<NadoProduct|undefined>}
+   */
+  async getProductBySymbol(symbol) {
+    const products = await this.getProducts();
+    const wanted = symbol.toUpperCase();
+    
+    const exact = products.find(p => p.symbol.toUpperCase() === wanted);
+    if (exact) {
+      return exact;
+    }
+    
+    const base = NadoClient.toBaseAsset(wanted);
+    return products.find(p => p.type === 'perp' && NadoClient.toBaseAsset(p.symbol) === base);
+  }
+
+  /**
+   * Strip separators and quote/perp suffixes: "BTC/USDT" -> "BTC", "BTC-PERP" -> "BTC"
+   */
+  static toBaseAsset(symbol) {
+    let base = symbol.toUpperCase().replace(/-PERP$/, '').replace(/[-_/]/g, '');
+    
+    for (const suffix of QUOTE_SUFFIXES) {
+      if (base.length > suffix.length && base.endsWith(suffix)) {
+        base = base.slice(0, -suffix.length);
+        break;
+      }
+    }
+    
+    return base;
+  }
+
+  /**
+   * Non-zero perp positions of the subaccount
+   * @returns {Promise<{ productId: number, symbol: string, amount: number }[]>}
+   */
+  async getPositions() {
+    const summary = await this.client.subaccount.getSubaccountSummary(this.getSubaccount());
+    const products = await this.getProducts();
+    
+    return summary.balances
+      .filter(b => b.type === ProductEngineType.PERP && !b.amount.isZero())
+      .map(b => ({
+        productId: b.productId,
+        symbol: products.find(p => p.productId === b.productId)?.symbol || `#${b.productId}`,
+        amount: fromX18(b.amount.toFixed(0)),
+      }));
+  }
+
+  /**
+   * Engine health of the subaccount, optionally as it would be after a perp
+   * fill of `amount` at `price`
+   * @param {{ productId: number, amount: number, price: number }} [delta]
+   * @returns {Promise<MarginSummary>}
+   */
+  async getMarginSummary(delta = null) {
+    const summary = delta
+      ? await this.client.subaccount.getEngineEstimatedSubaccountSummary({
+        subaccountOwner: this.address,
+        subaccountName: this.subaccountName,
+        txs: [{
+          type: 'apply_delta',
+          tx: {
+            productId: delta.productId,
+            amountDelta: this.toX18(delta.amount),
+            vQuoteDelta: this.toX18(-delta.amount * delta.price),
+          },
+        }],
+      })
+      : await this.client.subaccount.getSubaccountSummary(this.getSubaccount());
+
+    const { initial, maintenance } = summary.health;
+    return {
+      initialHealth: fromX18(initial.health.toFixed(0)),
+      maintenanceHealth: fromX18(maintenance.health.toFixed(0)),
+      perps: summary.balances
+        .filter(b => b.type === ProductEngineType.PERP)
+        .map(b => ({
+          productId: b.productId,
+          amount: fromX18(b.amount.toFixed(0)),
+          oraclePrice: b.oraclePrice.toNumber(),
+          longWeightMaintenance: b.longWeightMaintenance.toNumber(),
+          shortWeightMaintenance: b.shortWeightMaintenance.toNumber(),
+        })),
+    };
+  }
+
+  /**
+   * Current 24h funding rate of a perp, as a fraction of notional; positive
+   * means longs pay shorts
+   * @param {number} productId
+   * @returns {Promise<number>}
+   */
+  async getFundingRate(productId) {
+    const { fundingRate } = await this.client.market.getFundingRate({ productId });
+    return fundingRate.toNumber();
+  }
+
+  /**
+   * Funding the subaccount paid (negative) or received on `productIds`
+   * between `since` and `until`, newest first. Pages through the indexer
+   * until it reaches `since`.
+   * @param {number[]} productIds
+   * @param {number} since - ms since epoch, inclusive
+   * @param {number} [until] - ms since epoch, exclusive
+   * @returns {Promise<{ productId: number, timestamp: number, amount: number }[]>}
+   */
+  async getFundingPayments(productIds, since, until = Date.now()) {
+    const payments = [];
+    if (productIds.length === 0) {
+      return payments;
+    }
+
+    let cursor;
+    for (let page = 0; page < FUNDING_MAX_PAGES; page++) {
+      const { fundingPayments, nextCursor } = await this.client.context.indexerClient.getInterestFundingPayments({
+        subaccount: this.getSubaccount(),
+        productIds,
+        maxTimestampInclusive: Math.floor((until - 1) / 1000),
+        limit: FUNDING_PAGE_SIZE,
+        startCursor: cursor,
+      });
+
+      for (const payment of fundingPayments) {
+        const timestamp = payment.timestamp.toNumber() * 1000;
+        if (timestamp < since) {
+          return payments;
+        }
+        payments.push({ productId: payment.productId, timestamp, amount: fromX18(payment.paymentAmount.toFixed(0)) });
+      }
+
+      if (!nextCursor) {
+        return payments;
+      }
+      cursor = nextCursor;
+    }
+
+    logger.error(`Funding payments truncated after ${FUNDING_MAX_PAGES} pages`);
+    return payments;
+  }
+
+  /**
+   * Fills of the subaccount on `productId` since `since`, newest first, from
+   * the indexer's match history
+   * @param {number} productId
+   * @param {number} since - ms since epoch, inclusive
+   * @returns {Promise<{ digest: string, timestamp: number, amount: number, price: number, fee: number }[]>}
+   *   amount is signed: positive bought, negative sold
+   */
+  async getFills(productId, since) {
+    const fills = [];
+    let cursor;
+    for (let page = 0; page < FILLS_MAX_PAGES; page++) {
+      const { events, meta } = await this.client.context.indexerClient.getPaginatedSubaccountMatchEvents({
+        ...this.getSubaccount(),
+        productIds: [productId],
+        limit: FILLS_PAGE_SIZE,
+        startCursor: cursor,
+      });
+
+      for (const match of events) {
+        const timestamp = match.timestamp.toNumber() * 1000;
+        if (timestamp < since) {
+          return fills;
+        }
+        const amount = fromX18(match.baseFilled.toFixed(0));
+        fills.push({
+          digest: match.digest,
+          timestamp,
+          amount,
+          price: Math.abs(fromX18(match.quoteFilled.toFixed(0)) / amount),
+          fee: fromX18(match.totalFee.toFixed(0)),
+        });
+      }
+
+      if (!meta.nextCursor) {
+        return fills;
+      }
+      cursor = meta.nextCursor;
+    }
+
+    logger.error(`Fill history truncated after ${FILLS_MAX_PAGES} pages`);
+    return fills;
+  }
+
+  /**
+   * Resting orders of the subaccount, across all products unless narrowed down
+   * @param {number[]} [productIds]
+   * @returns {Promise<{ digest: string, productId: number, price: number, amount: number, unfilledAmount: number, reduceOnly: boolean }[]>}
+   */
+  async getOpenOrders(productIds) {
+    const ids = productIds || (await this.getProducts()).map(p => p.productId);
+    const { productOrders } = await this.client.market.getOpenSubaccountMultiProductOrders({
+      ...this.getSubaccount(),
+      productIds: ids,
+    });
+    
+    return productOrders.flatMap(({ orders }) => orders.map(o => ({
+      digest: o.digest,
+      productId: o.productId,
+      price: o.price.toNumber(),
+      amount: fromX18(o.totalAmount.toFixed(0)),
+      unfilledAmount: fromX18(o.unfilledAmount.toFixed(0)),
+      reduceOnly: Boolean(o.appendix?.reduceOnly),
+    })));
+  }
+
+  /**
+   * Mid price from the engine's best bid/ask
+   * @param {number} productId
+   * @returns {Promise<number>}
+   */
+  async getMarkPrice(productId) {
+    const { bid, ask } = await this.client.market.getLatestMarketPrice({ productId });
+    return bid.plus(ask).div(2).toNumber();
+  }
+
+  /**
+   * Recent OHLC candles from the indexer, oldest first
+   * @param {number} productId
+   * @param {number} periodSeconds - CandlestickPeriod, e.g. 300
+   * @param {number} limit
+   * @returns {Promise<{ timestamp: number, open: number, high: number, low: number, close: number }[]>}
+   */
+  async getCandles(productId, periodSeconds, limit) {
+    const candles = await this.client.market.getCandlesticks({ productId, period: periodSeconds, limit });
+    return candles
+      .map(c => ({
+        timestamp: c.time.toNumber() * 1000,
+        open: c.open.toNumber(),
+        high: c.high.toNumber(),
+        low: c.low.toNumber(),
+        close: c.close.toNumber(),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Start emitting `mark_price` events ({ productId, price, timestamp }) for
+   * watched products
+   * @param {number} intervalMs
+   */
+  startMarkPriceFeed(intervalMs) {
+    if (this.markPriceTimer) {
+      return;
+    }
+    this.markPriceTimer = setInterval(() => this.pollMarkPrices(), intervalMs);
+  }
+
+  stopMarkPriceFeed() {
+    clearInterval(this.markPriceTimer);
+    this.markPriceTimer = null;
+  }
+
+  watchMarkPrice(productId) {
+    this.watchedPrices.set(productId, (this.watchedPrices.get(productId) || 0) + 1);
+  }
+
+  unwatchMarkPrice(productId) {
+    const watchers = (this.watchedPrices.get(productId) || 0) - 1;
+    if (watchers > 0) {
+      this.watchedPrices.set(productId, watchers);
+    } else {
+      this.watchedPrices.delete(productId);
+    }
+  }
+
+  async pollMarkPrices() {
+    for (const productId of [...this.watchedPrices.keys()]) {
+      try {
+        const price = await this.getMarkPrice(productId);
+        this.emit('mark_price', { productId, price, timestamp: Date.now() });
+      } catch (error) {
+        logger.error(`Mark price poll failed for product ${productId}:`, error);
+      }
+    }
   }
 
+  /**
+   * Place an order on the engine. Price and amount are rounded towards zero
+   * to the product's price tick and size step before signing.
+   * @param {OrderRequest} request
+   * @returns {Promise<PlacedOrder>}
+   */
+  async placeOrder({ productId, price, amount, orderType = 'default', reduceOnly = false, ttlSeconds }) {
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`Unsupported order type: ${orderType}`);
+    }
+    
+    const product = await this.getProductById(productId);
+    if (!product) {
+      throw new Error(`Unknown product: ${productId}`);
+    }
+    
+    const isImmediate = orderType === 'ioc' || orderType === 'fok';
+    const ttl = ttlSeconds ?? (isImmediate ? IMMEDIATE_ORDER_TTL_SECONDS : RESTING_ORDER_TTL_SECONDS);
+    
+    const { order, priceX18, amountX18 } = this.buildOrder(product, price, amount, ttl, {
+      orderExecutionType: orderType,
+      reduceOnly,
+    });
+    
+    const result = await this.client.market.placeOrder({ productId, order });
+    
+    const placed = {
+      digest: result.data.digest,
+      productId,
+      price: fromX18(priceX18),
+      amount: fromX18(amountX18),
+      orderType,
+      reduceOnly,
+    };
+    
+    this.trackOrder(placed.digest, productId, amountX18);
+    
+    logger.debug(`Order placed on ${product.symbol}`, placed);
+    return placed;
+  }
+
+  /**
+   * Place a conditional order with the trigger service. Without `limitPrice`
+   * it behaves as stop-market: once triggered it executes as IOC with
+   * slippage allowance; with `limitPrice` it rests as a stop-limit order.
+   * @param {TriggerOrderRequest} request
+   * @returns {Promise<PlacedOrder & { triggerPrice: number, condition: string }>}
+   */
+  async placeTriggerOrder({ productId, triggerPrice, condition, amount, limitPrice, reduceOnly = true }) {
+    if (!TRIGGER_CONDITIONS.includes(condition)) {
+      throw new Error(`Unsupported trigger condition: ${condition}`);
+    }
+    
+    const product = await this.getProductById(productId);
+    if (!product) {
+      throw new Error(`Unknown product: ${productId}`);
+    }
+    
+    const isSell = Number(amount) < 0;
+    const isStopMarket = limitPrice == null;
+    const executionPrice = isStopMarket
+      ? Number(triggerPrice) * (isSell ? 1 - STOP_MARKET_SLIPPAGE : 1 + STOP_MARKET_SLIPPAGE)
+      : limitPrice;
+    const orderType = isStopMarket ? 'ioc' : 'default';
+    
+    const { order, priceX18, amountX18 } = this.buildOrder(product, executionPrice, amount, RESTING_ORDER_TTL_SECONDS, {
+      orderExecutionType: orderType,
+      reduceOnly,
+      triggerType: 'price',
+    });
+    const triggerPriceX18 = roundX18ToIncrement(parseX18(triggerPrice), product.priceIncrementX18);
+    
+    const result = await this.client.market.placeTriggerOrder({
+      productId,
+      order,
+      triggerCriteria: {
+        type: 'price',
+        criteria: {
+          type: `last_price_${condition}`,
+          triggerPrice: formatX18(triggerPriceX18),
+        },
+      },
+    });
+    
+    const placed = {
+      digest: result.data.digest,
+      productId,
+      price: fromX18(priceX18),
+      amount: fromX18(amountX18),
+      orderType,
+      reduceOnly,
+      triggerPrice: fromX18(triggerPriceX18),
+      condition,
+    };
+    
+    this.trackOrder(placed.digest, productId, amountX18);
+    
+    logger.debug(`Trigger order placed on ${product.symbol}`, placed);
+    return placed;
+  }
+
+  /**
+   * Round price/amount to the product increments and build the order payload
+   */
+  buildOrder(product, price, amount, ttlSeconds, appendix) {
+    const priceX18 = roundX18ToIncrement(parseX18(price), product.priceIncrementX18);
+    const amountX18 = roundX18ToIncrement(parseX18(amount), product.sizeIncrementX18);
+    
+    if (priceX18 <= 0n) {
+      throw new Error(`Invalid order price for ${product.symbol}: ${price}`);
+    }
+    if (amountX18 === 0n) {
+      throw new Error(`Order amount ${amount} is below the size step of ${product.symbol}`);
+    }
+    
+    const order = {
+      subaccountName: this.subaccountName,
+      price: formatX18(priceX18),
+      amount: amountX18.toString(),
+      expiration: Math.floor(Date.now() / 1000) + ttlSeconds,
+      appendix: packOrderAppendix(appendix),
+    };
+    
+    return { order, priceX18, amountX18 };
+  }
+
+  /**
+   * Cancel a single order by digest
+   * @param {number} productId
+   * @param {string} digest
+   */
+  async cancelOrder(productId, digest) {
+    await this.client.market.cancelOrders({
+      subaccountName: this.subaccountName,
+      productIds: [productId],
+      digests: [digest],
+    });
+    logger.debug(`Order cancelled: ${digest}`);
+  }
+
+  /**
+   * Cancel a pending trigger order by digest
+   * @param {number} productId
+   * @param {string} digest
+   */
+  async cancelTriggerOrder(productId, digest) {
+    await this.client.market.cancelTriggerOrders({
+      subaccountName: this.subaccountName,
+      productIds: [productId],
+      digests: [digest],
+    });
+    this.trackedOrders.delete(digest);
+    logger.debug(`Trigger order cancelled: ${digest}`);
+  }
+
+  /**
+   * Trigger orders that have not fired yet
+   * @returns {Promise<{ digest: string, productId: number, triggerPrice: number, amount: number }[]>}
+   */
+  async getOpenTriggerOrders() {
+    const { orders } = await this.client.market.getTriggerOrders({
+      ...this.getSubaccount(),
+      statusTypes: ['waiting_price', 'waiting_dependency', 'triggering'],
+    });
+    
+    return orders.map(({ order }) => ({
+      digest: order.digest,
+      productId: order.productId,
+      triggerPrice: Number(order.triggerCriteria.criteria.triggerPrice),
+      amount: fromX18(order.amount.toFixed(0)),
+    }));
+  }
+
+  /**
+   * Cancel every open order of the subaccount on a product
+   * @param {number} productId
+   */
+  async cancelAllOrders(productId) {
+    await this.client.market.cancelProductOrders({
+      subaccountName: this.subaccountName,
+      productIds: [productId],
+    });
+    logger.debug(`All orders cancelled for product ${productId}`);
+  }
+
+  /**
+   * Open the subscription websocket for fills and order updates of our subaccount.
+   * While the socket is down, tracked orders are polled instead.
+   */
   async connectWebSocket() {
-    logger.info('WebSocket connectivity ready');
+    const url = config.nado.wsUrl || ENGINE_WS_SUBSCRIPTION_CLIENT_ENDPOINTS[this.network];
+    const subaccount = subaccountToHex(this.getSubaccount());
+    
+    this.orderStream = new OrderStream({
+      url,
+      streams: [
+        { type: 'fill', subaccount },
+        { type: 'order_update', subaccount },
+      ],
+      onEvent: (event) => this.handleStreamEvent(event),
+      onStatusChange: (isConnected) => this.handleStreamStatus(isConnected),
+    });
+    
+    // Poll until the first connection is established
+    this.startPolling();
+    this.orderStream.start();
+  }
+
+  disconnectWebSocket() {
+    this.orderStream?.stop();
+    this.stopPolling();
   }
 
   subscribe(eventType, callback) {
@@ -104,7 +781,256 @@ export class NadoClient {
     this.subscriptions.get(eventType).push(callback);
   }
 
+  emit(eventType, data) {
+    for (const callback of this.subscriptions.get(eventType) || []) {
+      try {
+        callback(data);
+      } catch (error) {
+        logger.error(`Subscriber for ${eventType} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Watch an order for fills. Orders resumed after a restart pass what was
+   * already reported so the catch-up poll only emits the fills since then.
+   * @param {{ filledX18?: bigint, filledQuote?: number, feePaid?: number }} [reported]
+   */
+  trackOrder(digest, productId, amountX18, reported = {}) {
+    this.trackedOrders.set(digest, {
+      digest,
+      productId,
+      totalX18: amountX18 < 0n ? -amountX18 : amountX18,
+      filledX18: reported.filledX18 ?? 0n,
+      filledQuote: reported.filledQuote ?? 0,
+      feePaid: reported.feePaid ?? 0, // Fees already emitted with this order's fills
+    });
+    
+    // An immediate fill can be streamed before the place_order response arrives.
+    // Replay it on the next tick so the caller can register the order first.
+    const early = this.unmatchedEvents.get(digest);
+    if (early) {
+      this.unmatchedEvents.delete(digest);
+      setTimeout(() => early.events.forEach((event) => this.handleStreamEvent(event)), 0);
+    }
+  }
+
+  handleStreamStatus(isConnected) {
+    if (isConnected) {
+      this.stopPolling();
+      // Catch up on anything that happened while the socket was down
+      this.pollTrackedOrders().catch((error) => {
+        logger.error('Order catch-up poll failed:', error);
+      });
+    } else {
+      this.startPolling();
+    }
+  }
+
+  handleStreamEvent(event) {
+    const digest = event.order_digest || event.digest;
+    const tracked = this.trackedOrders.get(digest);
+    if (!tracked) {
+      this.rememberUnmatchedEvent(digest, event);
+      return;
+    }
+    
+    if (event.type === 'fill') {
+      const filledX18 = absBigInt(BigInt(event.filled_qty));
+      const remainingX18 = absBigInt(BigInt(event.remaining_qty));
+      this.applyFill(tracked, {
+        filledX18,
+        price: fromX18(event.price),
+        fee: fromX18(event.fee),
+        remainingX18,
+        timestamp: toMillis(event.timestamp),
+        source: 'ws',
+      });
+    } else if (event.type === 'order_update' && event.reason === 'cancelled') {
+      this.finishOrder(tracked, 'cancelled', toMillis(event.timestamp), 'ws');
+    }
+  }
+
+  rememberUnmatchedEvent(digest, event) {
+    const now = Date.now();
+    for (const [key, entry] of this.unmatchedEvents) {
+      if (now - entry.receivedAt > UNMATCHED_EVENT_TTL_MS) {
+        this.unmatchedEvents.delete(key);
+      }
+    }
+    
+    const entry = this.unmatchedEvents.get(digest) || { receivedAt: now, events: [] };
+    entry.events.push(event);
+    this.unmatchedEvents.set(digest, entry);
+  }
+
+  applyFill(tracked, { filledX18, price, fee, remainingX18, timestamp, source }) {
+    if (filledX18 <= 0n) {
+      return;
+    }
+    
+    tracked.filledX18 += filledX18;
+    tracked.filledQuote += fromX18(filledX18) * price;
+    tracked.feePaid += fee;
+    
+    const remaining = remainingX18 ?? tracked.totalX18 - tracked.filledX18;
+    const status = remaining <= 0n ? 'filled' : 'partially_filled';
+    
+    if (status === 'filled') {
+      this.trackedOrders.delete(tracked.digest);
+    }
+    
+    this.emit('order_update', {
+      digest: tracked.digest,
+      productId: tracked.productId,
+      status,
+      filledAmount: fromX18(filledX18),
+      totalFilled: fromX18(tracked.filledX18),
+      remainingAmount: fromX18(remaining > 0n ? remaining : 0n),
+      fillPrice: price,
+      avgFillPrice: tracked.filledQuote / fromX18(tracked.filledX18),
+      fee,
+      timestamp,
+      source,
+    });
+  }
+
+  finishOrder(tracked, status, timestamp, source) {
+    this.trackedOrders.delete(tracked.digest);
+    
+    const filled = fromX18(tracked.filledX18);
+    this.emit('order_update', {
+      digest: tracked.digest,
+      productId: tracked.productId,
+      status,
+      filledAmount: 0,
+      totalFilled: filled,
+      remainingAmount: fromX18(tracked.totalX18 - tracked.filledX18),
+      fillPrice: null,
+      avgFillPrice: filled > 0 ? tracked.filledQuote / filled : null,
+      fee: 0,
+      timestamp,
+      source,
+    });
+  }
+
+  startPolling() {
+    if (this.pollTimer) {
+      return;
+    }
+    
+    logger.info('Order polling fallback active');
+    this.pollTimer = setInterval(() => {
+      this.pollTrackedOrders().catch((error) => {
+        logger.error('Order polling failed:', error);
+      });
+    }, ORDER_POLL_INTERVAL_MS);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Order polling fallback stopped');
+    }
+  }
+
+  /**
+   * Diff the orders we placed against the engine's open orders. Orders that
+   * are still open report partial fills; orders that left the book are looked
+   * up in the indexer to tell fills from cancellations.
+   */
+  async pollTrackedOrders() {
+    if (this.trackedOrders.size === 0) {
+      return;
+    }
+    
+    const productIds = [...new Set([...this.trackedOrders.values()].map(o => o.productId))];
+    const { productOrders } = await this.client.market.getOpenSubaccountMultiProductOrders({
+      ...this.getSubaccount(),
+      productIds,
+    });
+    
+    const openOrders = new Map();
+    for (const { orders } of productOrders) {
+      for (const order of orders) {
+        openOrders.set(order.digest, order);
+      }
+    }
+    
+    const closedDigests = [];
+    for (const tracked of this.trackedOrders.values()) {
+      const open = openOrders.get(tracked.digest);
+      if (!open) {
+        closedDigests.push(tracked.digest);
+        continue;
+      }
+      
+      const remainingX18 = absBigInt(BigInt(open.unfilledAmount.toFixed(0)));
+      this.applyFill(tracked, {
+        filledX18: tracked.totalX18 - remainingX18 - tracked.filledX18,
+        price: open.price.toNumber(),
+        fee: 0,
+        remainingX18,
+        timestamp: Date.now(),
+        source: 'poll',
+      });
+    }
+    
+    if (closedDigests.length === 0) {
+      return;
+    }
+    
+    const history = await this.client.market.getHistoricalOrders({
+      digests: closedDigests,
+      subaccounts: [this.getSubaccount()],
+    });
+    
+    for (const order of history) {
+      const tracked = this.trackedOrders.get(order.digest);
+      if (!tracked) {
+        continue;
+      }
+      
+      const baseFilledX18 = absBigInt(BigInt(order.baseFilled.toFixed(0)));
+      const newFillX18 = baseFilledX18 - tracked.filledX18;
+      
+      if (newFillX18 > 0n) {
+        // quoteFilled covers every fill so far, so derive this chunk's price from the totals
+        const totalQuote = Math.abs(fromX18(order.quoteFilled.toFixed(0)));
+        const chunkQuote = totalQuote - tracked.filledQuote;
+        // totalFee too, minus what streamed partial fills already reported
+        const chunkFee = Math.max(0, fromX18(order.totalFee.toFixed(0)) - tracked.feePaid);
+        this.applyFill(tracked, {
+          filledX18: newFillX18,
+          price: chunkQuote / fromX18(newFillX18),
+          fee: chunkFee,
+          remainingX18: tracked.totalX18 - baseFilledX18,
+          timestamp: Date.now(),
+          source: 'poll',
+        });
+      }
+      
+      if (this.trackedOrders.has(order.digest)) {
+        this.finishOrder(tracked, 'cancelled', Date.now(), 'poll');
+      }
+    }
+  }
+
   toX18(value) {
-    return (BigInt(Math.floor(value * 1e18))).toString();
+    return parseX18(value).toString();
+  }
+
+  fromX18(value) {
+    return fromX18(value);
   }
-}
\ No newline at end of file
+}
+
+function absBigInt(value) {
+  return value < 0n ? -value : value;
+}
+
+// Engine timestamps are nanoseconds since epoch
+function toMillis(timestamp) {
+  return timestamp ? Number(BigInt(timestamp) / 1000000n) : Date.now();
+}
@@ -0,0 +1,168 @@
+import WebSocket from 'ws';
+import { logger } from '../utils/logger.js';
+
+const PING_INTERVAL_MS = 25 * 1000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Websocket connection to the Nado subscription gateway.
+ *
+ * Keeps a fixed set of streams subscribed: on every (re)connect it sends a
+ * `subscribe` message per stream, pings to keep the socket alive and reconnects
+ * with exponential backoff when the socket drops. Raw server events are handed
+ * to `onEvent`; connection changes to `onStatusChange(isConnected)`.
+ */
+export class OrderStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Subscription endpoint (ws:// or wss://)
+   * @param {Object[]} options.streams - Stream params, e.g. { type: 'fill', subaccount }
+   * @param {(event: Object) => void} options.onEvent
+   * @param {(isConnected: boolean) => void} [options.onStatusChange]
+   */
+  constructor({ url, streams, onEvent, onStatusChange = () => {} }) {
+    this.url = url;
+    this.streams = streams;
+    this.onEvent = onEvent;
+    this.onStatusChange = onStatusChange;
+
+    this.socket = null;
+    this.isConnected = false;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.awaitingPong = false;
+    this.nextRequestId = 1;
+  }
+
+  start() {
+    this.shouldReconnect = true;
+    this.connect();
+  }
+
+  stop() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.cleanupSocket();
+    this.isConnected = false;
+  }
+
+  connect() {
+    this.cleanupSocket();
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      logger.info(`Order stream connected: ${this.url}`);
+      this.reconnectAttempts = 0;
+      this.subscribeAll();
+      this.startHeartbeat();
+      this.setConnected(true);
+    });
+
+    socket.on('message', (raw) => this.handleMessage(raw));
+
+    socket.on('pong', () => {
+      this.awaitingPong = false;
+    });
+
+    socket.on('error', (error) => {
+      logger.error('Order stream error:', error.message);
+    });
+
+    socket.on('close', (code) => {
+      if (socket !== this.socket) {
+        return; // A newer socket has already replaced this one
+      }
+      logger.info(`Order stream closed (code ${code})`);
+      this.cleanupSocket();
+      this.setConnected(false);
+      this.scheduleReconnect();
+    });
+  }
+
+  subscribeAll() {
+    for (const stream of this.streams) {
+      this.socket.send(JSON.stringify({
+        id: this.nextRequestId++,
+        method: 'subscribe',
+        stream,
+      }));
+    }
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      logger.error('Order stream sent invalid JSON:', raw.toString());
+      return;
+    }
+
+    // Subscription acks carry the request id, events carry a type
+    if (message.type) {
+      this.onEvent(message);
+    } else if (message.error) {
+      logger.error(`Order stream subscription failed: ${message.error}`);
+    }
+  }
+
+  startHeartbeat() {
+    clearInterval(this.pingTimer);
+    this.awaitingPong = false;
+
+    this.pingTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        logger.error('Order stream heartbeat timed out');
+        this.socket?.terminate();
+        return;
+      }
+      this.awaitingPong = true;
+      this.socket?.ping();
+    }, PING_INTERVAL_MS);
+  }
+
+  scheduleReconnect() {
+    if (!this.shouldReconnect) {
+      return;
+    }
+
+    const backoff = Math.min(
+      RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts,
+      RECONNECT_MAX_DELAY_MS
+    );
+    const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+    this.reconnectAttempts++;
+
+    logger.info(`Order stream reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  cleanupSocket() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.removeAllListeners('open');
+      socket.removeAllListeners('message');
+      socket.on('error', () => {});
+      if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+        socket.terminate();
+      }
+    }
+  }
+
+  setConnected(isConnected) {
+    if (this.isConnected === isConnected) {
+      return;
+    }
+    this.isConnected = isConnected;
+    this.onStatusChange(isConnected);
+  }
+}
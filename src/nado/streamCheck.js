@@ -0,0 +1,160 @@
+/**
+ * Order stream check against a local mock of the Nado subscription gateway
+ *
+ *   npm run check:stream
+ *
+ * Starts a websocket server on a free local port, points NADO_WS_URL at it
+ * and walks NadoClient through subscribe, partial and full fills, a
+ * cancellation, a dropped connection with resubscribe, and the polling
+ * catch-up after streamed partial fills. Exits non-zero on the first failed
+ * expectation. Needs no credentials and no network.
+ */
+import assert from 'assert/strict';
+import { WebSocketServer } from 'ws';
+
+// Must be set before config is loaded: no credentials needed
+process.env.MODE = 'backtest';
+
+const X18 = 10n ** 18n;
+const WAIT_TIMEOUT_MS = 5000;
+
+/**
+ * Subscription gateway stand-in: acks subscribe requests and pushes events
+ * to every connected socket
+ */
+class MockGateway {
+  constructor() {
+    this.server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    this.subscriptions = [];
+    this.server.on('connection', (socket) => {
+      socket.on('message', (raw) => {
+        const request = JSON.parse(raw.toString());
+        if (request.method === 'subscribe') {
+          this.subscriptions.push(request.stream);
+          socket.send(JSON.stringify({ id: request.id, result: null }));
+        }
+      });
+    });
+  }
+
+  async listen() {
+    await new Promise(resolve => this.server.once('listening', resolve));
+    return `ws://127.0.0.1:${this.server.address().port}`;
+  }
+
+  push(event) {
+    for (const socket of this.server.clients) {
+      socket.send(JSON.stringify(event));
+    }
+  }
+
+  dropConnections() {
+    for (const socket of this.server.clients) {
+      socket.terminate();
+    }
+  }
+
+  close() {
+    this.dropConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+function fillEvent(digest, filled, remaining, price, fee) {
+  return {
+    type: 'fill',
+    order_digest: digest,
+    filled_qty: String(BigInt(filled) * X18),
+    remaining_qty: String(BigInt(remaining) * X18),
+    price: String(BigInt(price) * X18),
+    fee: String(BigInt(Math.round(fee * 1000)) * X18 / 1000n),
+    timestamp: String(BigInt(Date.now()) * 1000000n),
+  };
+}
+
+// Indexer numbers come as BigNumbers
+const bigNumber = (value) => ({ toFixed: () => String(value) });
+
+async function waitFor(condition, what) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function main() {
+  const gateway = new MockGateway();
+  process.env.NADO_WS_URL = await gateway.listen();
+
+  const { NadoClient } = await import('./client.js');
+  const nado = new NadoClient();
+  nado.address = '0x1111111111111111111111111111111111111111';
+  // Engine and indexer stand-ins for the polling fallback
+  const history = new Map();
+  nado.client = {
+    market: {
+      getOpenSubaccountMultiProductOrders: async () => ({ productOrders: [] }),
+      getHistoricalOrders: async ({ digests }) => digests.map(digest => history.get(digest)).filter(Boolean),
+    },
+  };
+
+  const updates = [];
+  nado.subscribe('order_update', update => updates.push(update));
+
+  try {
+    await nado.connectWebSocket();
+    await waitFor(() => gateway.subscriptions.length === 2, 'fill and order_update subscriptions');
+    assert.deepEqual(gateway.subscriptions.map(s => s.type), ['fill', 'order_update']);
+    console.log('✅ subscribed to fill and order_update');
+
+    nado.trackOrder('0xa1', 2, 10n * X18);
+    gateway.push(fillEvent('0xa1', 4, 6, 100, 0.1));
+    gateway.push(fillEvent('0xa1', 6, 0, 110, 0.15));
+    await waitFor(() => updates.length === 2, 'two fills');
+    assert.deepEqual(updates.map(u => u.status), ['partially_filled', 'filled']);
+    assert.deepEqual(updates.map(u => u.filledAmount), [4, 6]);
+    assert.equal(updates[1].avgFillPrice, 106);
+    assert.deepEqual(updates.map(u => u.fee), [0.1, 0.15]);
+    console.log('✅ partial and full fill with per-fill fees');
+
+    nado.trackOrder('0xa2', 2, 5n * X18);
+    gateway.push({ type: 'order_update', order_digest: '0xa2', reason: 'cancelled', timestamp: String(BigInt(Date.now()) * 1000000n) });
+    await waitFor(() => updates.length === 3, 'cancellation');
+    assert.equal(updates[2].status, 'cancelled');
+    console.log('✅ cancellation');
+
+    gateway.dropConnections();
+    await waitFor(() => gateway.subscriptions.length === 4, 'resubscribe after reconnect');
+    console.log('✅ reconnected and resubscribed');
+
+    // Partly filled on the stream, the rest only seen by the history poll
+    nado.trackOrder('0xa3', 2, 10n * X18);
+    gateway.push(fillEvent('0xa3', 4, 6, 100, 0.1));
+    await waitFor(() => updates.length === 4, 'streamed partial fill');
+    history.set('0xa3', {
+      digest: '0xa3',
+      baseFilled: bigNumber(10n * X18),
+      quoteFilled: bigNumber(-1000n * X18),
+      totalFee: bigNumber(25n * X18 / 100n),
+    });
+    await nado.pollTrackedOrders();
+    assert.equal(updates.length, 5);
+    assert.equal(updates[4].status, 'filled');
+    assert.equal(updates[4].filledAmount, 6);
+    assert.ok(Math.abs(updates[4].fee - 0.15) < 1e-9, `poll fee ${updates[4].fee} should exclude the streamed 0.1`);
+    console.log('✅ polled completion reports only the fee not yet streamed');
+
+    console.log('Order stream check passed');
+  } finally {
+    nado.disconnectWebSocket();
+    await gateway.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Order stream check failed: ${error.message}`);
+  process.exit(1);
+});
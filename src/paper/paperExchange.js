@@ -0,0 +1,457 @@
+import fs from 'fs';
+import path from 'path';
+import { NadoClient } from '../nado/client.js';
+import { PriceFeed } from './priceFeed.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+const PAPER_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Leverage limit of the simulated markets; maintenance margin is half the initial
+const PAPER_MAX_LEVERAGE = 50;
+const PAPER_WEIGHTS = {
+  initial: 1 - 1 / PAPER_MAX_LEVERAGE,
+  maintenance: 1 - 1 / (2 * PAPER_MAX_LEVERAGE),
+};
+
+// Marks kept per product for getCandles
+const MAX_PRICE_HISTORY = 20000;
+// Fills kept for getFills
+const MAX_FILL_HISTORY = 1000;
+
+/**
+ * Simulated exchange with the same surface as NadoClient.
+ *
+ * Keeps a virtual USDT0 balance and perp positions, marks them with a
+ * replayable PriceFeed and matches orders against the mark price on every
+ * tick: IOC/FOK fill immediately when marketable, resting limits fill when
+ * the mark crosses them, trigger orders fire on their condition. Fills and
+ * cancellations are emitted as `order_update` events just like the live
+ * stream, so TradeManager cannot tell the difference.
+ *
+ * Balance, positions, open orders and recent fills are saved to
+ * `paper-account.json` in DATA_DIR after every change and restored on
+ * start, so a restart resumes the same account as the journal. Digests carry
+ * the start time of the run and never repeat across restarts.
+ */
+export class PaperExchange extends NadoClient {
+  constructor() {
+    super();
+    this.balance = config.paper.startBalance;
+    this.positions = new Map(); // productId -> { amount, entryPrice }
+    this.orders = new Map(); // digest -> open resting or trigger order
+    this.runId = Date.now().toString(36);
+    this.nextOrderId = 1;
+    this.tickTimer = null;
+    this.feed = null;
+    this.priceHistory = new Map(); // productId -> [{ timestamp, price }]
+    this.fills = []; // oldest first
+    this.statePath = path.join(config.storage.dataDir, 'paper-account.json');
+  }
+
+  async initialize() {
+    this.address = PAPER_ADDRESS;
+
+    const assets = [...new Set(config.allowedSymbols.map(s => NadoClient.toBaseAsset(s)))];
+    this.feed = new PriceFeed({
+      file: config.paper.priceFeedFile,
+      assets,
+      seed: config.paper.seed,
+      volatilityPercent: config.paper.volatilityPercent,
+      toBaseAsset: NadoClient.toBaseAsset,
+    });
+    this.feed.load();
+
+    this.products = [...this.feed.prices.keys()].map((asset, i) => ({
+      productId: (i + 1) * 2,
+      symbol: `${asset}-PERP`,
+      type: 'perp',
+      priceIncrement: 0,
+      sizeIncrement: 0,
+      minSize: 0,
+      priceIncrementX18: 0n,
+      sizeIncrementX18: 0n,
+      minSizeX18: 0n,
+      makerFeeRate: config.paper.makerFeePercent / 100,
+      takerFeeRate: config.paper.takerFeePercent / 100,
+      maxLeverage: PAPER_MAX_LEVERAGE,
+    }));
+    this.loadState();
+
+    logger.info(`🧪 Paper exchange initialized: $${this.balance.toFixed(2)} USDT0, ${this.products.length} markets`);
+  }
+
+  /**
+   * Resume the account saved by an earlier run, if any
+   */
+  loadState() {
+    if (!fs.existsSync(this.statePath)) {
+      return;
+    }
+    const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    this.balance = state.balance;
+    this.positions = new Map(state.positions);
+    this.orders = new Map(state.orders.map(o => [o.digest, o]));
+    this.fills = state.fills || [];
+    logger.info(`🧪 Paper account restored: ${this.positions.size} positions, ${this.orders.size} open orders`);
+  }
+
+  saveState() {
+    const state = {
+      balance: this.balance,
+      positions: [...this.positions],
+      orders: [...this.orders.values()],
+      fills: this.fills,
+      savedAt: Date.now(),
+    };
+    // Write-then-rename so a crash never leaves half a file
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(`${this.statePath}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${this.statePath}.tmp`, this.statePath);
+  }
+
+  async getProducts() {
+    return this.products;
+  }
+
+  async fetchAccountSnapshot() {
+    let unrealizedPnL = 0;
+    for (const [productId, { amount, entryPrice }] of this.positions) {
+      if (amount !== 0) {
+        unrealizedPnL += amount * ((await this.getMarkPrice(productId)) - entryPrice);
+      }
+    }
+    const { initialHealth, maintenanceHealth } = await this.getMarginSummary();
+
+    return {
+      exists: true,
+      balances: { USDT0: this.balance },
+      unrealizedPnL,
+      equity: this.balance + unrealizedPnL,
+      freeCollateral: Math.max(0, initialHealth),
+      initialHealth,
+      maintenanceHealth,
+      timestamp: Date.now(),
+    };
+  }
+
+  async getPositions() {
+    return [...this.positions.entries()]
+      .filter(([, p]) => p.amount !== 0)
+      .map(([productId, p]) => ({
+        productId,
+        symbol: this.products.find(prod => prod.productId === productId).symbol,
+        amount: p.amount,
+      }));
+  }
+
+  /**
+   * Health computed like the engine does: balance plus each position's
+   * value at mark, weighted down for longs and up for shorts
+   */
+  async getMarginSummary(delta = null) {
+    const positions = new Map([...this.positions].map(([id, p]) => [id, { amount: p.amount, vQuote: -p.amount * p.entryPrice }]));
+    if (delta) {
+      const position = positions.get(delta.productId) || { amount: 0, vQuote: 0 };
+      positions.set(delta.productId, {
+        amount: position.amount + delta.amount,
+        vQuote: position.vQuote - delta.amount * delta.price,
+      });
+    }
+
+    let initialHealth = this.balance;
+    let maintenanceHealth = this.balance;
+    const perps = [];
+    for (const [productId, { amount, vQuote }] of positions) {
+      const oraclePrice = await this.getMarkPrice(productId);
+      const weight = (longWeight) => (amount > 0 ? longWeight : 2 - longWeight);
+      initialHealth += amount * oraclePrice * weight(PAPER_WEIGHTS.initial) + vQuote;
+      maintenanceHealth += amount * oraclePrice * weight(PAPER_WEIGHTS.maintenance) + vQuote;
+      perps.push({
+        productId,
+        amount,
+        oraclePrice,
+        longWeightMaintenance: PAPER_WEIGHTS.maintenance,
+        shortWeightMaintenance: 2 - PAPER_WEIGHTS.maintenance,
+      });
+    }
+
+    return { initialHealth, maintenanceHealth, perps };
+  }
+
+  async getFundingRate() {
+    return 0;
+  }
+
+  async getFundingPayments() {
+    return [];
+  }
+
+  async getFills(productId, since) {
+    return this.fills.filter(f => f.productId === productId && f.timestamp >= since).reverse();
+  }
+
+  async getOpenOrders(productIds) {
+    return [...this.orders.values()]
+      .filter(o => !o.trigger && (!productIds || productIds.includes(o.productId)))
+      .map(({ digest, productId, price, amount, reduceOnly }) => ({
+        digest, productId, price, amount, unfilledAmount: amount, reduceOnly,
+      }));
+  }
+
+  async getOpenTriggerOrders() {
+    return [...this.orders.values()]
+      .filter(o => o.trigger)
+      .map(({ digest, productId, trigger, amount }) => ({
+        digest, productId, triggerPrice: trigger.price, amount,
+      }));
+  }
+
+  async getMarkPrice(productId) {
+    const product = await this.getProductById(productId);
+    if (!product) {
+      throw new Error(`Unknown product: ${productId}`);
+    }
+    return this.feed.getPrice(NadoClient.toBaseAsset(product.symbol));
+  }
+
+  /**
+   * Candles built from the marks seen since start, oldest first
+   */
+  async getCandles(productId, periodSeconds, limit) {
+    const periodMs = periodSeconds * 1000;
+    const candles = [];
+    for (const { timestamp, price } of this.priceHistory.get(productId) || []) {
+      const start = Math.floor(timestamp / periodMs) * periodMs;
+      const last = candles[candles.length - 1];
+      if (last?.timestamp === start) {
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+      } else {
+        candles.push({ timestamp: start, open: price, high: price, low: price, close: price });
+      }
+    }
+    return candles.slice(-limit);
+  }
+
+  async placeOrder({ productId, price, amount, orderType = 'default', reduceOnly = false }) {
+    const markPrice = await this.getMarkPrice(productId);
+    const order = this.createOrder({ productId, price: Number(price), amount: Number(amount), orderType, reduceOnly });
+
+    const isBuy = order.amount > 0;
+    const marketable = isBuy ? markPrice <= order.price : markPrice >= order.price;
+
+    if (orderType === 'post_only' && marketable) {
+      throw new Error('Post-only order would cross the book');
+    }
+
+    if (orderType === 'ioc' || orderType === 'fok') {
+      // Deliver asynchronously, like the live stream
+      setTimeout(() => {
+        if (marketable) {
+          this.execute(order, markPrice, true);
+        } else {
+          this.emitCancelled(order);
+        }
+      }, 0);
+    } else {
+      this.orders.set(order.digest, order);
+      this.saveState();
+    }
+
+    return this.toPlacedOrder(order);
+  }
+
+  async placeTriggerOrder({ productId, triggerPrice, condition, amount, limitPrice, reduceOnly = true }) {
+    const order = this.createOrder({
+      productId,
+      price: limitPrice != null ? Number(limitPrice) : null,
+      amount: Number(amount),
+      orderType: limitPrice != null ? 'default' : 'ioc',
+      reduceOnly,
+    });
+    order.trigger = { price: Number(triggerPrice), condition };
+    this.orders.set(order.digest, order);
+    this.saveState();
+
+    return { ...this.toPlacedOrder(order), triggerPrice: order.trigger.price, condition };
+  }
+
+  async cancelOrder(productId, digest) {
+    const order = this.orders.get(digest);
+    if (order) {
+      this.orders.delete(digest);
+      this.saveState();
+      this.emitCancelled(order);
+    }
+  }
+
+  async cancelTriggerOrder(productId, digest) {
+    await this.cancelOrder(productId, digest);
+  }
+
+  async cancelAllOrders(productId) {
+    for (const order of [...this.orders.values()]) {
+      if (order.productId === productId) {
+        await this.cancelOrder(productId, order.digest);
+      }
+    }
+  }
+
+  async connectWebSocket() {
+    this.tickTimer = setInterval(() => this.tick(), config.paper.tickMs);
+    logger.info(`🧪 Paper price feed ticking every ${config.paper.tickMs}ms`);
+  }
+
+  disconnectWebSocket() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+  }
+
+  /**
+   * Simulated orders fill in-process, there is no missed fill to catch up on
+   */
+  async pollTrackedOrders() {}
+
+  /**
+   * Advance prices and match every open order against the new marks
+   */
+  tick() {
+    this.feed.next();
+    this.recordPrices();
+
+    for (const order of [...this.orders.values()]) {
+      const product = this.products.find(p => p.productId === order.productId);
+      const markPrice = this.feed.getPrice(NadoClient.toBaseAsset(product.symbol));
+
+      if (order.trigger) {
+        const fired = order.trigger.condition === 'below'
+          ? markPrice <= order.trigger.price
+          : markPrice >= order.trigger.price;
+        if (!fired) {
+          continue;
+        }
+
+        logger.debug(`🧪 Trigger fired on ${product.symbol} @ ${markPrice}`);
+        if (order.orderType === 'ioc') {
+          this.orders.delete(order.digest);
+          this.execute(order, markPrice, true);
+        } else {
+          delete order.trigger; // Now rests as a plain limit order
+          this.saveState();
+        }
+        continue;
+      }
+
+      const crossed = order.amount > 0 ? markPrice <= order.price : markPrice >= order.price;
+      if (crossed) {
+        this.orders.delete(order.digest);
+        this.execute(order, order.price, false);
+      }
+    }
+  }
+
+  recordPrices() {
+    const timestamp = Date.now();
+    for (const product of this.products) {
+      const history = this.priceHistory.get(product.productId) || [];
+      history.push({ timestamp, price: this.feed.getPrice(NadoClient.toBaseAsset(product.symbol)) });
+      if (history.length > MAX_PRICE_HISTORY) {
+        history.shift();
+      }
+      this.priceHistory.set(product.productId, history);
+    }
+  }
+
+  createOrder({ productId, price, amount, orderType, reduceOnly }) {
+    return {
+      digest: `paper-${this.runId}-${this.nextOrderId++}`,
+      productId,
+      price,
+      amount,
+      orderType,
+      reduceOnly,
+    };
+  }
+
+  toPlacedOrder({ digest, productId, price, amount, orderType, reduceOnly }) {
+    return { digest, productId, price, amount, orderType, reduceOnly };
+  }
+
+  /**
+   * Fill an order at `price`, update position, balance and fees, emit the fill
+   */
+  execute(order, price, isTaker) {
+    const position = this.positions.get(order.productId) || { amount: 0, entryPrice: 0 };
+    let qty = order.amount;
+
+    if (order.reduceOnly) {
+      const reducesPosition = Math.sign(qty) === -Math.sign(position.amount);
+      qty = reducesPosition ? Math.sign(qty) * Math.min(Math.abs(qty), Math.abs(position.amount)) : 0;
+      if (qty === 0) {
+        this.saveState(); // Taken off the book by the caller
+        this.emitCancelled(order);
+        return;
+      }
+    }
+
+    // Realize PnL on the part that reduces the position
+    if (position.amount !== 0 && Math.sign(qty) !== Math.sign(position.amount)) {
+      const closing = Math.min(Math.abs(qty), Math.abs(position.amount));
+      this.balance += closing * (price - position.entryPrice) * Math.sign(position.amount);
+    }
+
+    const newAmount = position.amount + qty;
+    if (newAmount === 0) {
+      position.entryPrice = 0;
+    } else if (Math.sign(newAmount) !== Math.sign(position.amount)) {
+      position.entryPrice = price; // Opened or flipped
+    } else if (Math.abs(newAmount) > Math.abs(position.amount)) {
+      position.entryPrice = (position.entryPrice * Math.abs(position.amount) + price * Math.abs(qty)) / Math.abs(newAmount);
+    }
+    position.amount = newAmount;
+    this.positions.set(order.productId, position);
+
+    const product = this.products.find(p => p.productId === order.productId);
+    const fee = Math.abs(qty) * price * (isTaker ? product.takerFeeRate : product.makerFeeRate);
+    this.balance -= fee;
+
+    logger.debug(`🧪 Filled ${qty} ${product.symbol} @ ${price} (fee $${fee.toFixed(4)}), balance $${this.balance.toFixed(2)}`);
+    this.fills.push({ productId: order.productId, digest: order.digest, timestamp: Date.now(), amount: qty, price, fee });
+    if (this.fills.length > MAX_FILL_HISTORY) {
+      this.fills.shift();
+    }
+    this.saveState();
+
+    this.emit('order_update', {
+      digest: order.digest,
+      productId: order.productId,
+      status: 'filled',
+      filledAmount: Math.abs(qty),
+      totalFilled: Math.abs(qty),
+      remainingAmount: 0,
+      fillPrice: price,
+      avgFillPrice: price,
+      fee,
+      timestamp: Date.now(),
+      source: 'paper',
+    });
+  }
+
+  emitCancelled(order) {
+    this.emit('order_update', {
+      digest: order.digest,
+      productId: order.productId,
+      status: 'cancelled',
+      filledAmount: 0,
+      totalFilled: 0,
+      remainingAmount: Math.abs(order.amount),
+      fillPrice: null,
+      avgFillPrice: null,
+      fee: 0,
+      timestamp: Date.now(),
+      source: 'paper',
+    });
+  }
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+// Starting prices for the random walk when no feed file is given
+const DEFAULT_START_PRICES = {
+  BTC: 60000,
+  ETH: 3000,
+  SOL: 150,
+  ADA: 0.45,
+};
+
+/**
+ * Deterministic PRNG (mulberry32) so a seeded run can be replayed exactly
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Replayable mark price source for paper trading.
+ *
+ * With a CSV file (`timestamp,symbol,price`, header optional) every `next()`
+ * applies the rows of the next timestamp; after the last row prices hold.
+ * Without a file, prices follow a seeded random walk per base asset.
+ */
+export class PriceFeed {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - CSV price file
+   * @param {string[]} options.assets - Base assets to price, e.g. ['BTC', 'ETH']
+   * @param {number} [options.seed=1]
+   * @param {number} [options.volatilityPercent=0.05] - Max move per step for the random walk
+   * @param {(symbol: string) => string} options.toBaseAsset
+   */
+  constructor({ file, assets, seed = 1, volatilityPercent = 0.05, toBaseAsset }) {
+    this.file = file;
+    this.assets = assets;
+    this.volatility = volatilityPercent / 100;
+    this.random = createRandom(seed);
+    this.toBaseAsset = toBaseAsset;
+    this.prices = new Map(); // base asset -> price
+    this.steps = []; // [{ timestamp, prices: [[asset, price]] }]
+    this.stepIndex = 0;
+  }
+
+  load() {
+    if (this.file) {
+      this.loadFile();
+    }
+
+    for (const asset of this.assets) {
+      if (!this.prices.has(asset)) {
+        this.prices.set(asset, DEFAULT_START_PRICES[asset] || 100);
+      }
+    }
+  }
+
+  loadFile() {
+    const rows = fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .map(line => line.trim().split(','))
+      .filter(cols => cols.length >= 3 && !isNaN(Number(cols[2])));
+
+    const byTimestamp = new Map();
+    for (const [timestamp, symbol, price] of rows) {
+      const key = Number(timestamp) || Date.parse(timestamp);
+      if (!byTimestamp.has(key)) {
+        byTimestamp.set(key, []);
+      }
+      byTimestamp.get(key).push([this.toBaseAsset(symbol), Number(price)]);
+    }
+
+    this.steps = [...byTimestamp.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([timestamp, prices]) => ({ timestamp, prices }));
+
+    // Seed the opening prices so the first mark is known before ticking
+    for (const { prices } of this.steps) {
+      for (const [asset, price] of prices) {
+        if (!this.prices.has(asset)) {
+          this.prices.set(asset, price);
+        }
+      }
+    }
+
+    logger.info(`Paper price feed loaded: ${this.steps.length} steps from ${this.file}`);
+  }
+
+  /**
+   * Advance the feed by one step
+   */
+  next() {
+    if (this.steps.length > 0) {
+      if (this.stepIndex < this.steps.length) {
+        for (const [asset, price] of this.steps[this.stepIndex].prices) {
+          this.prices.set(asset, price);
+        }
+        this.stepIndex++;
+        if (this.stepIndex === this.steps.length) {
+          logger.info('Paper price feed exhausted, holding last prices');
+        }
+      }
+      return;
+    }
+
+    for (const [asset, price] of this.prices) {
+      const move = (this.random() * 2 - 1) * this.volatility;
+      this.prices.set(asset, price * (1 + move));
+    }
+  }
+
+  getPrice(asset) {
+    return this.prices.get(asset);
+  }
+}
@@ -0,0 +1,113 @@
+import { RUNTIME_SETTINGS, getSetting, putSetting } from './config.js';
+import { logger } from './utils/logger.js';
+import { TradingHours } from './utils/tradingHours.js';
+
+/**
+ * "BTCUSDT,ETHUSDT", "0.5:40,0.8:40", "mon-fri 22:00-03:00 UTC"
+ */
+function formatSetting(key, value) {
+  if (key === 'TP_LADDER') {
+    return value.length > 0 ? value.map(leg => `${leg.percent}:${leg.share}`).join(',') : 'off';
+  }
+  if (key === 'TRADING_SCHEDULE') {
+    return value ? TradingHours.describeSchedule({ enabled: true, windows: value }) : 'off';
+  }
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+/**
+ * Runtime changes to RUNTIME_SETTINGS, e.g. from the /set command.
+ *
+ * A change is validated by the setting's parser, journaled with who made it
+ * and the previous value, then written into the shared config object in
+ * place: TradeManager, the listener and the risk guard read it on their next
+ * use, open positions and timers are untouched. Overrides are re-applied on
+ * top of the environment after a restart until reset.
+ */
+export class SettingsManager {
+  constructor(store) {
+    this.store = store;
+    // Values from the environment, restored by "reset"
+    this.defaults = new Map(Object.keys(RUNTIME_SETTINGS).map(key => [key, structuredClone(getSetting(key))]));
+  }
+
+  /**
+   * Re-apply the overrides journaled before a restart
+   */
+  load() {
+    const overrides = this.getOverrides();
+    for (const [key, text] of overrides) {
+      try {
+        putSetting(key, RUNTIME_SETTINGS[key].parse(key, text));
+      } catch (error) {
+        logger.error(`Journaled override ${key}=${text} not applied: ${error.message}`);
+      }
+    }
+
+    if (overrides.size > 0) {
+      logger.info(`Runtime overrides re-applied: ${[...overrides].map(([key, text]) => `${key}=${text}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Latest journaled value per key that was not reset since
+   * @returns {Map<string, string>}
+   */
+  getOverrides() {
+    const overrides = new Map();
+    for (const { key, value } of this.store.settingChanges) {
+      if (!RUNTIME_SETTINGS[key]) {
+        continue;
+      }
+      if (value === 'reset') {
+        overrides.delete(key);
+      } else {
+        overrides.set(key, value);
+      }
+    }
+    return overrides;
+  }
+
+  /**
+   * Validate, journal and apply one setting
+   * @param {string} key - Env variable name, e.g. "RISK_PERCENT"
+   * @param {string} text - Value as written in .env, or "reset" for the environment value
+   * @param {string} user - Who made the change
+   * @returns {{ key: string, previous: string, value: string }}
+   */
+  set(key, text, user) {
+    const setting = RUNTIME_SETTINGS[key];
+    if (!setting) {
+      throw new Error(`${key} cannot be changed at runtime, use one of ${Object.keys(RUNTIME_SETTINGS).join(', ')}`);
+    }
+
+    const value = text === 'reset' ? structuredClone(this.defaults.get(key)) : setting.parse(key, text);
+    const previous = formatSetting(key, getSetting(key));
+    this.store.recordSettingChange({ key, value: text, previous, user });
+    putSetting(key, value);
+
+    const change = { key, previous, value: formatSetting(key, value) };
+    logger.info(`⚙️  ${key} changed by ${user}: ${change.previous} → ${change.value}`);
+    return change;
+  }
+
+  /**
+   * Latest journaled changes, oldest first
+   */
+  recentChanges(limit = 5) {
+    return this.store.settingChanges.slice(-limit);
+  }
+
+  /**
+   * Current value of every runtime setting, marked when overridden
+   * @returns {{ key: string, value: string, overridden: boolean }[]}
+   */
+  list() {
+    const overrides = this.getOverrides();
+    return Object.keys(RUNTIME_SETTINGS).map(key => ({
+      key,
+      value: formatSetting(key, getSetting(key)),
+      overridden: overrides.has(key),
+    }));
+  }
+}
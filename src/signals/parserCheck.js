@@ -0,0 +1,80 @@
+/**
+ * Free-text parser check against sample channel messages
+ *
+ *   npm run check:parsers
+ *
+ * Runs each message through the registry with a `freetext` channel and
+ * compares the parsed signal (or the rejection) with what the message means.
+ * Exits non-zero on the first mismatch. Needs no credentials and no network.
+ */
+import assert from 'assert/strict';
+
+// Must be set before config is loaded: no credentials needed
+process.env.MODE = 'backtest';
+
+const CHANNEL = { id: '-100', parser: 'freetext', symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'ADAUSDT'] };
+
+// [message, expected signal fields, or null with the expected rejection]
+const CASES = [
+  [
+    '🟢 LONG #BTC/USDT Entry: 60000 TP1 61000 TP2 62000 SL 59000 Leverage 10x',
+    { symbol: 'BTCUSDT', side: 'LONG', entry: 60000, takeProfits: [61000, 62000], stopLoss: 59000, leverage: 10 },
+  ],
+  [
+    'SHORT ETH entry 3000 tp 2950, 2900 sl 3050 20x',
+    { symbol: 'ETHUSDT', side: 'SHORT', entry: 3000, takeProfits: [2950, 2900], stopLoss: 3050, leverage: 20 },
+  ],
+  [
+    'Sell SOLUSDT Entry zone 150.5 - 151 Targets 148 146 144 Stop loss 153 lev cross 5x',
+    { symbol: 'SOLUSDT', side: 'SHORT', entry: 150.5, takeProfits: [148, 146, 144], stopLoss: 153, leverage: 5 },
+  ],
+  // Keyword after the side is not a symbol
+  [
+    'LONG entry 3000 on ETH, tp 3100 sl 2900',
+    { symbol: 'ETHUSDT', side: 'LONG', entry: 3000, takeProfits: [3100], stopLoss: 2900 },
+  ],
+  [
+    'Buy zone 3,000.5 ETH/USDT sl 2,950',
+    { symbol: 'ETHUSDT', side: 'LONG', entry: 3000.5, stopLoss: 2950 },
+  ],
+  // Thousands separators and decimal commas
+  [
+    'SHORT #BTC entry 62,000 tp 61,000.5 / 60,000 sl 63,250.75',
+    { symbol: 'BTCUSDT', side: 'SHORT', entry: 62000, takeProfits: [61000.5, 60000], stopLoss: 63250.75 },
+  ],
+  [
+    'Buy ADA entry 0,2967 sl 0,28',
+    { symbol: 'ADAUSDT', side: 'LONG', entry: 0.2967, stopLoss: 0.28 },
+  ],
+  // No ticker and no whitelisted asset: not a signal
+  ['LONG entry 3000 tp 3100', null, null],
+  ['Buy zone is holding, waiting for confirmation', null, null],
+  ['LONG DOGEUSDT entry 0.1', null, 'symbol DOGEUSDT not whitelisted'],
+];
+
+async function main() {
+  const { SignalParserRegistry } = await import('./registry.js');
+  const registry = new SignalParserRegistry([]);
+  const channel = registry.addChannel(CHANNEL);
+
+  for (const [text, expected, expectedReason] of CASES) {
+    const { signal, reason } = registry.parse(channel, text);
+    if (!expected) {
+      assert.equal(signal, null, `"${text}" should not parse, got ${JSON.stringify(signal)}`);
+      assert.equal(reason, expectedReason, `"${text}" rejection`);
+    } else {
+      assert.ok(signal, `"${text}" did not parse: ${reason}`);
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(signal[field], value, `"${text}" ${field}`);
+      }
+    }
+    console.log(`✅ ${text}`);
+  }
+
+  console.log('Parser check passed');
+}
+
+main().catch((error) => {
+  console.error(`Parser check failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+/**
+ * Signal parsers. Each takes the message text and the channel options (with
+ * `symbols` set to the channel's whitelist) and returns raw fields, or null
+ * when the message is not a signal:
+ * { symbol, signalType, side, entry, takeProfits, stopLoss, leverage, stats }
+ * Only `symbol` plus `side` or `signalType` are required; the registry
+ * normalizes the rest.
+ */
+import { NadoClient } from '../nado/client.js';
+
+// "3,000.5" with thousands separators, or "3000.5" / "0,2967"
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+(?!\\d)(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?)';
+
+// Quote currencies that mark a token as a trading pair
+const PAIR = '[A-Z0-9]{2,}[/-]?(?:USDT0|USDT|USDC|USD)';
+
+// "62,000" is sixty-two thousand; "0,2967" is a decimal comma
+const THOUSANDS_SEPARATOR = /\b([1-9]\d{0,2}),(?=\d{3}\b)/g;
+
+function toNumber(value) {
+  if (value == null || value === '') {
+    return null;
+  }
+  const normalized = String(value).replace(THOUSANDS_SEPARATOR, '$1').replace(',', '.');
+  const num = Number(normalized.replace(/[^\d.]/g, ''));
+  return isNaN(num) || num === 0 ? null : num;
+}
+
+function toNumberList(value) {
+  if (value == null) {
+    return [];
+  }
+  const values = Array.isArray(value)
+    ? value
+    : String(value).replace(THOUSANDS_SEPARATOR, '$1').split(/[\s,;|/]+/);
+  return values.map(toNumber).filter(n => n !== null);
+}
+
+function toSide(value) {
+  const side = String(value || '').toUpperCase();
+  if (['LONG', 'BUY'].includes(side)) return 'LONG';
+  if (['SHORT', 'SELL'].includes(side)) return 'SHORT';
+  return null;
+}
+
+/**
+ * ```json block (or the whole message) with signal fields
+ */
+export function parseJson(text) {
+  const block = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  let data;
+  try {
+    data = JSON.parse(block ? block[1] : text);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  return {
+    symbol: data.symbol || data.pair,
+    signalType: data.signalType || null,
+    // `direction` in the legacy format describes the move, not our side
+    side: toSide(data.side),
+    entry: toNumber(data.entry ?? data.entryPrice),
+    takeProfits: toNumberList(data.takeProfits ?? data.targets ?? data.takeProfit ?? data.tp),
+    stopLoss: toNumber(data.stopLoss ?? data.sl),
+    leverage: toNumber(data.leverage),
+    stats: data.stats || {},
+  };
+}
+
+// Key aliases for "Key: value" lines
+const KEY_ALIASES = {
+  symbol: 'symbol', pair: 'symbol', coin: 'symbol',
+  type: 'signalType',
+  side: 'side', position: 'side',
+  entry: 'entry', 'entry price': 'entry',
+  tp: 'takeProfits', target: 'takeProfits', targets: 'takeProfits', 'take profit': 'takeProfits',
+  sl: 'stopLoss', stop: 'stopLoss', 'stop loss': 'stopLoss',
+  leverage: 'leverage', lev: 'leverage',
+};
+
+/**
+ * "Key: value" lines, e.g. `Symbol: BTCUSDT` / `Type: LONG_FLUSH` / `TP1: 61000`
+ */
+export function parseKeyValue(text) {
+  const fields = { takeProfits: [] };
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^[^\w]*([a-z ]+?)\s*\d*\s*[:=]\s*(.+)$/i);
+    if (!match) {
+      continue;
+    }
+    const field = KEY_ALIASES[match[1].trim().toLowerCase()];
+    const value = match[2].trim();
+
+    if (field === 'takeProfits') {
+      fields.takeProfits.push(...toNumberList(value));
+    } else if (field && fields[field] === undefined) {
+      fields[field] = value;
+    }
+  }
+
+  if (!fields.symbol) {
+    return null;
+  }
+
+  return {
+    symbol: fields.symbol,
+    signalType: fields.signalType || null,
+    side: toSide(fields.side),
+    entry: toNumber(fields.entry),
+    takeProfits: fields.takeProfits,
+    stopLoss: toNumber(fields.stopLoss),
+    leverage: toNumber(fields.leverage),
+    stats: {},
+  };
+}
+
+/**
+ * Channel-specific regular expression with named groups: symbol, side, type,
+ * entry, tp (or tp1, tp2, ...), sl, leverage
+ */
+export function parseRegex(text, { pattern, flags = 'i' }) {
+  const match = text.match(new RegExp(pattern, flags));
+  if (!match?.groups) {
+    return null;
+  }
+
+  const groups = match.groups;
+  const takeProfits = Object.keys(groups)
+    .filter(name => /^tp\d*$/.test(name))
+    .sort()
+    .flatMap(name => toNumberList(groups[name]));
+
+  return {
+    symbol: groups.symbol,
+    signalType: groups.type || null,
+    side: toSide(groups.side),
+    entry: toNumber(groups.entry),
+    takeProfits,
+    stopLoss: toNumber(groups.sl),
+    leverage: toNumber(groups.leverage),
+    stats: {},
+  };
+}
+
+/**
+ * First #TAG or BASE/QUOTE / BASEUSDT token, otherwise the first word naming
+ * a whitelisted asset ("SHORT ETH"). Other words, e.g. "entry" in
+ * "LONG entry 3000", are never taken for a symbol.
+ */
+function findSymbol(text, symbols) {
+  const ticker = text.match(new RegExp(`#(${PAIR}|[A-Z0-9]{2,})\\b`, 'i')) || text.match(new RegExp(`\\b(${PAIR})\\b`));
+  if (ticker) {
+    return ticker[1];
+  }
+  const bases = new Set(symbols.map(s => NadoClient.toBaseAsset(s)));
+  return text.match(/\b[A-Z0-9]{2,}\b/gi)?.find(word => bases.has(word.toUpperCase())) || null;
+}
+
+/**
+ * Common free-text layouts, e.g.
+ * "🟢 LONG #BTC/USDT Entry: 60000 TP1 61000 TP2 62000 SL 59000 Leverage 10x"
+ */
+export function parseFreeText(text, { symbols = [] } = {}) {
+  const sideMatch = text.match(/\b(LONG|SHORT|BUY|SELL)\b/i);
+  if (!sideMatch) {
+    return null;
+  }
+
+  const symbol = findSymbol(text, symbols);
+  if (!symbol) {
+    return null;
+  }
+
+  const entry = text.match(new RegExp(`\\b(?:entry|enter|buy|sell)(?:\\s*(?:price|zone))?\\s*[:@=-]?\\s*${NUMBER}`, 'i'));
+
+  // Everything between a TP keyword and the next keyword counts as targets
+  const takeProfits = [];
+  const tpPattern = /\b(?:tp\d*|targets?|take[\s-]?profit)\b\s*[:=-]?\s*([\d.,\s\-|/]+?)(?=\s*(?:\b(?:tp\d*|targets?|sl|stop|lev|leverage|entry)\b|$|\n))/gi;
+  for (const match of text.matchAll(tpPattern)) {
+    takeProfits.push(...toNumberList(match[1].replace(/\s-\s/g, ' ')));
+  }
+
+  const stopLoss = text.match(new RegExp(`\\b(?:sl|stop(?:[\\s-]?loss)?)\\s*[:=-]?\\s*${NUMBER}`, 'i'));
+  const leverage = text.match(/\b(?:lev(?:erage)?\s*[:=-]?\s*(?:cross|isolated)?\s*)?(\d{1,3})\s*x\b/i);
+
+  return {
+    symbol,
+    signalType: null,
+    side: toSide(sideMatch[1]),
+    entry: entry ? toNumber(entry[1]) : null,
+    takeProfits,
+    stopLoss: stopLoss ? toNumber(stopLoss[1]) : null,
+    leverage: leverage ? toNumber(leverage[1]) : null,
+    stats: {},
+  };
+}
+
+/**
+ * The original channel format: a "SIGNAL DETECTED" alert with a ```json
+ * block, or `Symbol:`/`Type:` lines
+ */
+export function parseDefault(text) {
+  if (!text.includes('SIGNAL DETECTED')) {
+    return null;
+  }
+  return parseJson(text) || parseKeyValue(text);
+}
@@ -0,0 +1,145 @@
+import { parseDefault, parseJson, parseKeyValue, parseRegex, parseFreeText } from './parsers.js';
+import { NadoClient } from '../nado/client.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Mean reversion: a short squeeze is faded with a short, a long flush with a long
+const SIGNAL_TYPE_SIDES = {
+  SHORT_SQUEEZE: 'SHORT',
+  LONG_FLUSH: 'LONG',
+};
+
+/**
+ * @typedef {Object} Signal
+ * @property {string} symbol - Whitelisted symbol as configured, e.g. "BTCUSDT"
+ * @property {'LONG'|'SHORT'} side
+ * @property {string|null} signalType - e.g. "SHORT_SQUEEZE" when the provider sends one
+ * @property {number|null} entry - Provider entry price
+ * @property {number[]} takeProfits - Provider targets, nearest first
+ * @property {number|null} stopLoss
+ * @property {number|null} leverage
+ * @property {Object} stats - Provider extras, e.g. { lastPrice }
+ * @property {string|null} channelId
+ * @property {number|null} messageId
+ * @property {number|null} postedAt - Telegram message date, ms since epoch
+ * @property {string} parser
+ */
+
+/**
+ * @typedef {Object} ChannelConfig
+ * @property {string} id - Telegram chat id of the channel
+ * @property {string} [name]
+ * @property {string} [parser='default'] - Registered parser name
+ * @property {string[]} [symbols] - Whitelist, defaults to ALLOWED_SYMBOLS
+ * @property {string} [pattern] - Regex for the `regex` parser
+ * @property {string} [flags]
+ */
+
+/**
+ * Maps signal channels to parsers and turns their messages into normalized
+ * signals. Parsers are looked up by name so new formats only need a
+ * `register()` call and a channel entry in SIGNAL_CHANNELS.
+ */
+export class SignalParserRegistry {
+  /**
+   * @param {ChannelConfig[]} [channels]
+   */
+  constructor(channels = config.signalChannels) {
+    this.parsers = new Map([
+      ['default', parseDefault],
+      ['json', parseJson],
+      ['keyvalue', parseKeyValue],
+      ['regex', parseRegex],
+      ['freetext', parseFreeText],
+    ]);
+    this.channels = new Map();
+
+    for (const channel of channels) {
+      this.addChannel(channel);
+    }
+  }
+
+  register(name, parser) {
+    this.parsers.set(name, parser);
+  }
+
+  addChannel(channel) {
+    const normalized = {
+      parser: 'default',
+      ...channel,
+      id: channel.id != null ? String(channel.id) : null,
+    };
+
+    if (!this.parsers.has(normalized.parser)) {
+      throw new Error(`Unknown signal parser '${normalized.parser}' for channel ${normalized.id}`);
+    }
+    if (normalized.parser === 'regex' && !normalized.pattern) {
+      throw new Error(`Channel ${normalized.id} uses the regex parser but has no pattern`);
+    }
+
+    this.channels.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  getChannel(chatId) {
+    return this.channels.get(String(chatId)) || null;
+  }
+
+  /**
+   * Parse and validate a channel message
+   * @param {ChannelConfig} channel
+   * @param {string} text
+   * @param {number} [messageId]
+   * @param {number} [postedAt] - Message date, ms since epoch
+   * @returns {{ signal: Signal|null, reason: string|null }} reason is null for non-signal messages
+   */
+  parse(channel, text, messageId = null, postedAt = null) {
+    let raw;
+    try {
+      raw = this.parsers.get(channel.parser)(text, { ...channel, symbols: channel.symbols || config.allowedSymbols });
+    } catch (error) {
+      logger.error(`Signal parser '${channel.parser}' failed:`, error);
+      return { signal: null, reason: 'parser error' };
+    }
+
+    if (!raw) {
+      return { signal: null, reason: null };
+    }
+
+    const side = raw.side || SIGNAL_TYPE_SIDES[raw.signalType] || null;
+    if (!raw.symbol || !side) {
+      return { signal: null, reason: 'missing symbol or side' };
+    }
+
+    const symbol = this.matchSymbol(raw.symbol, channel.symbols || config.allowedSymbols);
+    if (!symbol) {
+      return { signal: null, reason: `symbol ${raw.symbol} not whitelisted` };
+    }
+
+    return {
+      signal: {
+        symbol,
+        side,
+        signalType: raw.signalType || null,
+        entry: raw.entry ?? null,
+        takeProfits: raw.takeProfits || [],
+        stopLoss: raw.stopLoss ?? null,
+        leverage: raw.leverage ?? null,
+        stats: raw.stats || {},
+        channelId: channel.id,
+        messageId,
+        postedAt,
+        parser: channel.parser,
+      },
+      reason: null,
+    };
+  }
+
+  /**
+   * Whitelist entry with the same base asset ("BTC", "#BTC/USDT" -> "BTCUSDT")
+   */
+  matchSymbol(symbol, whitelist) {
+    const base = NadoClient.toBaseAsset(symbol.replace(/^#/, ''));
+    return whitelist.find(s => NadoClient.toBaseAsset(s) === base) || null;
+  }
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * UTC calendar day of a timestamp, e.g. "2024-05-01"
+ * @param {number} [timestamp=Date.now()]
+ */
+export function utcDayKey(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Append-only JSON journal of everything the bot does.
+ *
+ * Every signal, order, fill and position change is written as one JSON line
+ * to `<DATA_DIR>/journal.jsonl` before it is applied in memory. On startup the
+ * journal is replayed to rebuild open positions and closed trades, so a
+ * redeploy keeps TP/SL digests and the daily trade count, and then compacted:
+ * position snapshots and guard states that later entries replaced are
+ * dropped, the history used by reports and exports stays.
+ */
+export class TradeStore {
+  constructor(dataDir = config.storage.dataDir) {
+    this.journalPath = path.join(dataDir, 'journal.jsonl');
+    this.positions = new Map(); // entry digest -> open position
+    this.closedTrades = [];
+    this.discardedPositions = [];
+    this.signals = [];
+    this.skippedSignals = [];
+    this.orders = [];
+    this.fills = [];
+    this.guardState = null; // last RiskGuard baselines and halt
+    this.settingChanges = []; // runtime config changes, oldest first
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+
+    if (!fs.existsSync(this.journalPath)) {
+      logger.info(`Trade journal created at ${this.journalPath}`);
+      return;
+    }
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    const entries = [];
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        this.apply(entry);
+        entries.push({ line, type: entry.type, digest: entry.data?.digest });
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      logger.error(`Skipped ${skipped} unreadable journal entries`);
+    }
+    this.compact(entries);
+
+    logger.info(
+      `Trade journal loaded: ${this.positions.size} open positions, ` +
+      `${this.closedTrades.length} closed trades`
+    );
+  }
+
+  /**
+   * Rewrite the journal without the snapshots replay does not need: every
+   * `position` entry but the last of a still open position, every `guard`
+   * entry but the last
+   * @param {{ line: string, type: string, digest?: string }[]} entries - As read, in order
+   */
+  compact(entries) {
+    const lastIndex = new Map();
+    entries.forEach((entry, i) => {
+      if (entry.type === 'guard') {
+        lastIndex.set('guard', i);
+      } else if (entry.type === 'position' && this.positions.has(entry.digest)) {
+        lastIndex.set(entry.digest, i);
+      }
+    });
+
+    const kept = entries.filter((entry, i) => {
+      if (entry.type === 'guard') {
+        return lastIndex.get('guard') === i;
+      }
+      return entry.type !== 'position' || lastIndex.get(entry.digest) === i;
+    });
+    if (kept.length === entries.length) {
+      return;
+    }
+
+    // Write-then-rename so a crash leaves either journal complete
+    const tmpPath = `${this.journalPath}.tmp`;
+    fs.writeFileSync(tmpPath, kept.map(entry => entry.line + '\n').join(''));
+    fs.renameSync(tmpPath, this.journalPath);
+    logger.info(`Trade journal compacted: ${entries.length - kept.length} superseded entries dropped, ${kept.length} kept`);
+  }
+
+  append(type, data) {
+    const entry = { type, ts: Date.now(), data };
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+    this.apply(entry);
+  }
+
+  apply({ type, ts, data }) {
+    switch (type) {
+      case 'signal':
+        this.signals.push({ ...data, receivedAt: ts });
+        break;
+      case 'order':
+        this.orders.push({ ...data, placedAt: ts });
+        break;
+      case 'fill':
+        this.fills.push({ ...data, recordedAt: ts });
+        break;
+      case 'position':
+        this.positions.set(data.digest, data);
+        break;
+      case 'close':
+        this.positions.delete(data.digest);
+        this.closedTrades.push(data);
+        break;
+      case 'discard':
+        this.positions.delete(data.digest);
+        this.discardedPositions.push(data);
+        break;
+      case 'skip':
+        this.skippedSignals.push({ ...data, skippedAt: ts });
+        break;
+      case 'guard':
+        this.guardState = data;
+        break;
+      case 'setting':
+        this.settingChanges.push({ ...data, changedAt: ts });
+        break;
+      default:
+        throw new Error(`Unknown journal entry type: ${type}`);
+    }
+  }
+
+  recordSignal(signal) {
+    this.append('signal', signal);
+  }
+
+  /**
+   * Why a signal did not lead to an entry; messages rejected by the parser
+   * or whitelist have no symbol or side
+   */
+  recordSkip(signal, reason) {
+    const { channelId, messageId, symbol, side, signalType } = signal;
+    this.append('skip', { channelId, messageId, symbol, side, signalType, reason });
+  }
+
+  recordOrder(order) {
+    this.append('order', order);
+  }
+
+  recordFill(update) {
+    this.append('fill', update);
+  }
+
+  /**
+   * Insert or update an open position
+   */
+  savePosition(position) {
+    this.append('position', position);
+  }
+
+  /**
+   * Move a position to the closed trades
+   * @param {Object} position
+   * @param {Object} close - { reason, exitPrice, pnlUSD, pnlPercent }
+   */
+  closePosition(position, close) {
+    this.append('close', { ...position, ...close, closeTime: Date.now() });
+  }
+
+  /**
+   * Drop a position whose entry never filled; it does not count as a trade
+   */
+  discardPosition(position, reason) {
+    this.append('discard', { ...position, reason, discardTime: Date.now() });
+  }
+
+  saveGuardState(state) {
+    this.append('guard', state);
+  }
+
+  /**
+   * Audit entry of a runtime config change
+   * @param {{ key: string, value: string, previous: string, user: string }} change - `value` "reset" drops the override
+   */
+  recordSettingChange(change) {
+    this.append('setting', change);
+  }
+
+  getOpenPositions() {
+    return [...this.positions.values()];
+  }
+
+  countTradesOpenedOn(dayKey = utcDayKey()) {
+    const isOnDay = (p) => utcDayKey(p.openTime) === dayKey;
+    return this.getOpenPositions().filter(isOnDay).length +
+      this.closedTrades.filter(isOnDay).length;
+  }
+
+  getClosedTradesOn(dayKey = utcDayKey()) {
+    return this.closedTrades.filter(t => utcDayKey(t.closeTime) === dayKey);
+  }
+
+  /**
+   * Trades closed in [from, to)
+   */
+  getClosedTradesBetween(from, to) {
+    return this.closedTrades.filter(t => t.closeTime >= from && t.closeTime < to);
+  }
+
+  /**
+   * An order as placed and its journaled fills
+   */
+  getOrderHistory(digest) {
+    return {
+      order: this.orders.find(o => o.digest === digest) || null,
+      fills: this.fills.filter(f => f.digest === digest),
+    };
+  }
+}
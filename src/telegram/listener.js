@@ -2,9 +2,16 @@ import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
 import { TradingHours } from '../utils/tradingHours.js';
+import { NadoClient } from '../nado/client.js';
+import { SignalParserRegistry } from '../signals/registry.js';
+import { resolveProfile } from '../trading/profiles.js';
+import { escapeHtml } from './notifier.js';
+import { EXPORT_FORMATS, buildJournalExport, exportFileName, formatJournalExport, parseDateRange } from '../export/journalExport.js';
+
+const COMMANDS = ['status', 'positions', 'close', 'closeall', 'pause', 'resume', 'limits', 'config', 'set', 'export'];
 
 export class TelegramListener {
-  constructor(tradeManager) {
+  constructor(tradeManager, notifier, riskGuard, settings) {
     this.bot = new TelegramBot(config.telegram.botToken, { 
       polling: {
         interval: 1000,
@@ -12,7 +19,11 @@ export class TelegramListener {
       }
     });
     this.tradeManager = tradeManager;
-    this.channelId = config.telegram.channelId;
+    this.notifier = notifier;
+    this.riskGuard = riskGuard;
+    this.settings = settings;
+    this.signals = new SignalParserRegistry();
+    this.notifyChatId = config.telegram.notifyChatId;
     
     this.setupListeners();
   }
@@ -32,33 +43,35 @@ export class TelegramListener {
   
   async handleMessage(msg) {
     try {
-      // Only process messages from the configured channel
-      if (msg.chat.id.toString() !== this.channelId.toString()) {
+      // Operator commands live in the notify chat
+      if (msg.chat.id.toString() === this.notifyChatId.toString() && msg.text?.startsWith('/')) {
+        await this.handleCommand(msg);
         return;
       }
       
-      const text = msg.text || '';
-      
-      // Check if message contains signal pattern
-      if (!text.includes('SIGNAL DETECTED')) {
+      // Only process messages from configured signal channels
+      const channel = this.signals.getChannel(msg.chat.id);
+      if (!channel) {
         return;
       }
       
-      // Parse the signal
-      const signal = this.parseSignal(text);
+      // Parse with the channel's parser and check its symbol whitelist
+      const { signal, reason } = this.signals.parse(channel, msg.text || msg.caption || '', msg.message_id, msg.date * 1000);
       
       if (!signal) {
-        logger.error('Failed to parse signal');
-        return;
-      }
-      
-      // Validate signal
-      if (!this.validateSignal(signal)) {
+        if (reason) {
+          logger.info(`Ignored message ${msg.message_id} from ${channel.name || channel.id}: ${reason}`);
+          this.tradeManager.store.recordSkip({ channelId: channel.id, messageId: msg.message_id }, reason);
+        }
         return;
       }
       
-      // Check trading hours
-      if (!TradingHours.isWithinTradingHours()) {
+      // Check trading hours, the symbol's own when its profile sets them
+      const now = new Date();
+      const { tradingHours } = resolveProfile(signal.symbol, signal.signalType);
+      if (!TradingHours.isWithinTradingHours(now, tradingHours)) {
+        const blackout = TradingHours.activeBlackout(now);
+        this.tradeManager.skipSignal(signal, blackout ? `blackout (${blackout.name})` : 'outside trading hours');
         return;
       }
       
@@ -70,59 +83,137 @@ export class TelegramListener {
     }
   }
   
-  parseSignal(text) {
+  /**
+   * Run an operator command, e.g. `/close BTCUSDT`, from an allowlisted user
+   */
+  async handleCommand(msg) {
+    const [head, ...args] = msg.text.trim().split(/\s+/);
+    const command = head.slice(1).split('@')[0].toLowerCase(); // Strip "@botname"
+    if (!COMMANDS.includes(command)) {
+      return;
+    }
+    
+    const userId = msg.from?.id?.toString();
+    const user = msg.from?.username ? `@${msg.from.username}` : userId;
+    
+    if (!userId || !config.telegram.adminUserIds.includes(userId)) {
+      logger.error(`Rejected /${command} from unauthorized user ${user}`);
+      return;
+    }
+    
+    logger.info(`Command /${command}${args.length ? ` ${args.join(' ')}` : ''} from ${user}`);
+    
     try {
-      // Extract JSON from message
-      const jsonMatch = text.match(/```json?\s*([\s\S]*?)\s*```/);
-      
-      if (!jsonMatch) {
-        // Try to parse without code block
-        const lines = text.split('\n');
-        let symbol = null;
-        let signalType = null;
-        
-        for (const line of lines) {
-          if (line.includes('Symbol:')) {
-            symbol = line.split(':')[1]?.trim();
-          }
-          if (line.includes('Type:')) {
-            signalType = line.split(':')[1]?.trim();
-          }
-        }
-        
-        if (!symbol || !signalType) {
-          return null;
-        }
-        
-        return {
-          symbol,
-          signalType,
-          stats: {},
-        };
-      }
-      
-      const jsonData = JSON.parse(jsonMatch[1]);
-      return jsonData;
-      
+      await this.runCommand(command, args, user);
     } catch (error) {
-      logger.error('Signal parsing error:', error);
-      return null;
+      logger.error(`Command /${command} failed:`, error);
+      await this.notifier.sendCommandAck(`/${command}`, `❌ Failed: ${escapeHtml(error.message)}`);
     }
   }
   
-  validateSignal(signal) {
-    // Check if symbol is in whitelist
-    if (!config.allowedSymbols.includes(signal.symbol)) {
-      return false;
-    }
+  async runCommand(command, args, user) {
+    const tradeManager = this.tradeManager;
+    const positions = [...tradeManager.openPositions.values()];
     
-    // Check if signal type is valid
-    const validTypes = ['SHORT_SQUEEZE', 'LONG_FLUSH'];
-    if (!validTypes.includes(signal.signalType)) {
-      return false;
+    switch (command) {
+      case 'status': {
+        await this.notifier.sendStatus({
+          account: await tradeManager.nado.getAccountSnapshot(),
+          positions,
+          stats: tradeManager.getDailyStats(),
+          isPaused: tradeManager.isPaused,
+          tradingHoursStatus: TradingHours.getStatusMessage(),
+          risk: { metrics: await this.riskGuard.check(), halt: this.riskGuard.state.halt },
+        });
+        break;
+      }
+      
+      case 'positions':
+        await this.notifier.sendPositions(positions);
+        break;
+      
+      case 'close': {
+        if (!args[0]) {
+          await this.notifier.sendCommandAck('/close', 'Usage: /close &lt;symbol&gt;');
+          break;
+        }
+        const asset = NadoClient.toBaseAsset(args[0]);
+        const matching = positions.filter(p => NadoClient.toBaseAsset(p.symbol) === asset);
+        const results = await Promise.all(matching.map(p => tradeManager.closeManually(p)));
+        await this.notifier.sendCommandAck(
+          `/close ${args[0]}`,
+          results.length > 0 ? results.join('\n') : `No open position on ${args[0]}`
+        );
+        break;
+      }
+      
+      case 'closeall': {
+        const results = await Promise.all(positions.map(p => tradeManager.closeManually(p)));
+        await this.notifier.sendCommandAck(
+          '/closeall',
+          results.length > 0 ? results.join('\n') : 'No open positions'
+        );
+        break;
+      }
+      
+      case 'pause':
+        tradeManager.pause();
+        await this.notifier.sendCommandAck('/pause', '⏸️ New signals will be ignored. Open positions stay managed.');
+        break;
+      
+      case 'resume': {
+        const halt = await this.riskGuard.resume();
+        tradeManager.resume();
+        await this.notifier.sendCommandAck(
+          '/resume',
+          halt ? `▶️ Trading resumed, risk halt lifted (${halt.reason}). Risk baselines reset.` : '▶️ Trading resumed'
+        );
+        break;
+      }
+      
+      case 'limits':
+        await this.notifier.sendLimits(tradeManager.getDailyStats(), tradeManager.isPaused, {
+          metrics: await this.riskGuard.check(),
+          halt: this.riskGuard.state.halt,
+        });
+        break;
+      
+      case 'config':
+        await this.notifier.sendConfig();
+        break;
+      
+      case 'set': {
+        if (args.length === 0) {
+          await this.notifier.sendSettings(this.settings.list(), this.settings.recentChanges());
+          break;
+        }
+        if (args.length < 2) {
+          await this.notifier.sendCommandAck('/set', 'Usage: /set &lt;SETTING&gt; &lt;value|reset&gt;, /set to list');
+          break;
+        }
+        const { key, previous, value } = this.settings.set(args[0].toUpperCase(), args.slice(1).join(' '), user);
+        await this.notifier.sendCommandAck(
+          `/set ${key}`,
+          `⚙️ ${key}: ${escapeHtml(previous)} → <b>${escapeHtml(value)}</b>\nChanged by ${escapeHtml(user)}, effective for the next signal`
+        );
+        break;
+      }
+      
+      case 'export': {
+        // `/export [from] [to] [csv|json]`, the format in any position
+        const format = args.find(arg => EXPORT_FORMATS.includes(arg.toLowerCase()))?.toLowerCase() || 'csv';
+        const [fromText, toText] = args.filter(arg => !EXPORT_FORMATS.includes(arg.toLowerCase()));
+        const { from, to } = parseDateRange(fromText, toText);
+        const data = buildJournalExport(tradeManager.store, from, to);
+        await this.notifier.sendDocument(
+          formatJournalExport(data, format),
+          exportFileName(from, to, format),
+          `📤 ${data.signals.length} signals (${data.skipped.length} skipped), ${data.orders.length} orders, ` +
+          `${data.fills.length} fills, ${data.trades.length} closed trades`
+        );
+        break;
+      }
     }
-    
-    return true;
   }
   
   stop() {
@@ -1,36 +1,151 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { TradingHours } from '../utils/tradingHours.js';
+
+const CLOSE_REASONS = {
+  TP: 'Take Profit Hit',
+  SL: 'Stop Loss Hit',
+  RECONCILED: 'Closed on exchange (reconciliation)',
+  MANUAL: 'Closed by operator',
+  RISK_HALT: 'Closed by risk guard',
+  REVERSED: 'Closed to reverse on an opposing signal',
+  OPPOSING_SIGNAL: 'Closed on an opposing signal',
+  TIMEOUT: 'Maximum holding time reached',
+  SESSION_END: 'Trading session ended',
+};
+
+const STATE_LABELS = {
+  pending: 'Pending',
+  partially_filled: 'Partially filled',
+  filled: 'Filled',
+  protected: 'Protected',
+  closing: 'Closing',
+  closed: 'Closed',
+};
+
+/**
+ * "0.5% behind mark" / "2× ATR behind mark from $61200.0000", for a trailing
+ * state or the TRAILING_* config
+ */
+function describeTrailing({ mode, percent, atrMultiplier, activationPrice, activationPercent }) {
+  const distance = mode === 'atr' ? `${atrMultiplier}× ATR` : `${percent}%`;
+  const from = activationPrice
+    ? ` from $${activationPrice.toFixed(4)}`
+    : activationPercent > 0 ? ` from +${activationPercent}%` : '';
+  return `${distance} behind mark${from}`;
+}
+
+/**
+ * Operator or provider text inside an HTML parse_mode message
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function signed(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+/**
+ * Equity, per-asset balances and margin of an AccountSnapshot
+ */
+function formatAccount({ balances, equity, unrealizedPnL, freeCollateral, maintenanceHealth }) {
+  const assets = Object.entries(balances).map(([asset, amount]) => `${amount.toFixed(2)} ${asset}`).join(', ') || 'none';
+  return `💰 Equity: $${equity.toFixed(2)} (unrealized $${signed(unrealizedPnL)})\n` +
+    `🏦 Balances: ${assets}\n` +
+    `🆓 Free collateral: $${freeCollateral.toFixed(2)} · Maintenance health $${maintenanceHealth.toFixed(2)}`;
+}
+
+const PROFILE_LABELS = {
+  riskPercent: (v) => `risk ${v}%`,
+  leverage: (v) => `${v}x`,
+  takeProfitPercent: (v) => `TP ${v}%`,
+  stopLossPercent: (v) => `SL ${v}%`,
+  maxOpenPositions: (v) => `max ${v} open`,
+  enabled: (v) => (v ? 'enabled' : 'disabled'),
+  tradingHours: ({ enabled, startUtc, endUtc, windows, flattenAtSessionEnd }) => [
+    enabled === false ? '24/7'
+      : windows ? TradingHours.describeSchedule({ enabled: true, windows })
+        : startUtc || endUtc ? `${startUtc || config.tradingHours.startUtc} - ${endUtc || config.tradingHours.endUtc} UTC` : null,
+    flattenAtSessionEnd !== undefined ? `flatten at session end ${flattenAtSessionEnd ? 'on' : 'off'}` : null,
+  ].filter(Boolean).join(', '),
+};
+
+/**
+ * One line per PROFILES_FILE entry, e.g. "• BTCUSDT: risk 0.5% · 5x",
+ * nested signal types as "BTCUSDT/SHORT_SQUEEZE"
+ */
+function formatProfiles({ symbols, signalTypes }, bullet = '•') {
+  const describe = (name, profile) => {
+    const overrides = Object.entries(profile)
+      .filter(([key]) => PROFILE_LABELS[key])
+      .map(([key, value]) => PROFILE_LABELS[key](value))
+      .filter(Boolean);
+    return `${bullet} ${name}: ${overrides.join(' · ') || 'no overrides'}`;
+  };
+
+  const lines = [
+    ...Object.entries(signalTypes).map(([type, profile]) => describe(type, profile)),
+    ...Object.entries(symbols).flatMap(([symbol, profile]) => [
+      describe(symbol, profile),
+      ...Object.entries(profile.signalTypes || {}).map(([type, nested]) => describe(`${symbol}/${type}`, nested)),
+    ]),
+  ];
+  return lines.join('\n');
+}
+
+function formatRiskMetrics({ equity, realizedPnL, unrealizedPnL, dailyPnL, dailyPnLPercent, drawdownPercent, lossStreak }) {
+  return `📊 Equity $${equity.toFixed(2)} · Day $${signed(dailyPnL)} (${signed(dailyPnLPercent)}%)\n` +
+    `💵 Realized $${signed(realizedPnL)} · Unrealized $${signed(unrealizedPnL)}\n` +
+    `📉 Drawdown ${drawdownPercent.toFixed(2)}% · Losing streak ${lossStreak}`;
+}
 
 export class TelegramNotifier {
   constructor() {
-    this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
+    // Send-only: TelegramListener owns polling, two pollers on one token conflict
+    this.bot = new TelegramBot(config.telegram.botToken, { polling: false });
     this.chatId = config.telegram.notifyChatId;
   }
   
   async sendMessage(text) {
     try {
-      await this.bot.sendMessage(this.chatId, text, { parse_mode: 'HTML' });
+      const prefix = config.mode === 'paper' ? '🧪 <b>[PAPER]</b>\n' : '';
+      await this.bot.sendMessage(this.chatId, prefix + text, { parse_mode: 'HTML' });
     } catch (error) {
       logger.error('Telegram send error:', error);
     }
   }
   
-  async sendStartup(walletAddress, balance, tradingHoursStatus) {
+  /**
+   * File attachment, e.g. a journal export
+   * @param {string|Buffer} content
+   * @param {string} filename - Extension sets the content type
+   */
+  async sendDocument(content, filename, caption) {
+    const contentType = filename.endsWith('.json') ? 'application/json' : 'text/csv';
+    const prefix = config.mode === 'paper' ? '🧪 [PAPER] ' : '';
+    await this.bot.sendDocument(this.chatId, Buffer.from(content), { caption: prefix + caption }, { filename, contentType });
+  }
+  
+  async sendStartup(walletAddress, account, tradingHoursStatus) {
     const message = `
 🤖 <b>NADO BOT STARTED</b>
 
 👛 Wallet: <code>${walletAddress}</code>
-💰 Balance: $${balance.toFixed(2)} USDT0
+${formatAccount(account)}
 
 📊 <b>Configuration</b>
 • Risk per trade: ${config.risk.riskPercent}%
-• Leverage: ${config.risk.leverage}x
+• Max leverage: ${config.risk.leverage}x
 • Take Profit: ${config.risk.takeProfitPercent}%
 • Stop Loss: ${config.risk.stopLossPercent}%
 • Max daily trades: ${config.risk.maxDailyTrades}
 • Max open positions: ${config.risk.maxOpenPositions}
-
+${config.profiles.file ? `
+🗂 <b>Profiles</b> (${config.profiles.file})
+${formatProfiles(config.profiles) || '• none'}
+` : ''}
 ⏰ <b>Trading Hours</b>
 ${tradingHoursStatus}
 
@@ -43,29 +158,115 @@ ${config.allowedSymbols.join(', ')}
     await this.sendMessage(message);
   }
   
-  async sendTradeOpen(position, currentBalance) {
+  async sendTradeOpen(position, equity) {
     const { symbol, side, entryPrice, tpPrice, slPrice, size } = position;
+    const distance = (price) => `${(Math.abs(price - entryPrice) / entryPrice * 100).toFixed(2)}%`;
+    const entrySource = position.entryType === 'limit' ? 'signal limit' : 'market';
+    const legs = position.tpLegs || [{ index: 1, price: tpPrice, share: 100, source: position.tpSource }];
+    const takeProfits = legs.length === 1
+      ? `🎯 Take Profit: $${tpPrice.toFixed(4)} (+${distance(tpPrice)}, ${position.tpSource || 'config'})`
+      : legs.map(leg =>
+        `🎯 TP${leg.index}: $${leg.price.toFixed(4)} (+${distance(leg.price)}, ${Math.round(leg.share)}%, ${leg.source})`
+      ).join('\n');
+    const runnerShare = 100 - legs.reduce((sum, leg) => sum + leg.share, 0);
+    const notional = size * entryPrice;
     
     const message = `
 🚀 <b>POSITION OPENED</b>
 
 📈 ${symbol} ${side}
-💵 Entry: $${entryPrice.toFixed(4)}
-📦 Size: ${size.toFixed(4)} (${config.risk.leverage}x)
-💰 Balance: $${currentBalance.toFixed(2)}
+💵 Entry: $${entryPrice.toFixed(4)} (${entrySource})
+📦 Size: ${size.toFixed(4)} ($${notional.toFixed(2)}, ${(notional / equity).toFixed(1)}x)
+⚖️ Risk to stop: $${(size * Math.abs(entryPrice - slPrice)).toFixed(2)}
+💰 Equity: $${equity.toFixed(2)}
+
+${takeProfits}${runnerShare >= 1 ? `\n🏃 Runner: ${Math.round(runnerShare)}%` : ''}
+🛡️ Stop Loss: $${slPrice.toFixed(4)} (-${distance(slPrice)}, ${position.slSource || 'config'})
+${position.sizing?.liquidationPrice ? `☠️ Est. liquidation: $${position.sizing.liquidationPrice.toFixed(4)}\n` : ''}${position.trailing ? `📐 Trailing: ${describeTrailing(position.trailing)}\n` : ''}${position.plan?.notes?.length ? `\n📝 ${position.plan.notes.join('\n📝 ')}` : ''}`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendPartialExit(position, leg, notes = []) {
+    const { symbol, side, size, realizedPnL } = position;
+    
+    const message = `
+🎯 <b>TP${leg.index} HIT</b>
+
+📉 ${symbol} ${side}
+💵 Closed ${leg.filledSize.toFixed(4)} @ $${leg.exitPrice.toFixed(4)}
+💰 Leg PnL: $${leg.pnlUSD >= 0 ? '+' : ''}${leg.pnlUSD.toFixed(2)} (realized $${realizedPnL.toFixed(2)})
+📦 Remaining: ${size.toFixed(4)}
+${notes.map(note => `🛡️ ${note}`).join('\n')}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendStopMoved(position, previousStop, markPrice) {
+    const { symbol, side, entryPrice, slPrice } = position;
+    const locked = (side === 'LONG' ? slPrice - entryPrice : entryPrice - slPrice) / entryPrice * 100;
+    
+    const message = `
+🛡️ <b>STOP MOVED</b>
+
+📈 ${symbol} ${side}
+🔁 $${previousStop.toFixed(4)} → $${slPrice.toFixed(4)} (mark $${markPrice.toFixed(4)})
+🔒 ${locked >= 0 ? 'Locked in' : 'Risk'}: ${locked >= 0 ? '+' : ''}${locked.toFixed(2)}% from entry
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendSignalRejected(signal, reason) {
+    const message = `
+🚫 <b>SIGNAL REJECTED</b>
 
-🎯 Take Profit: $${tpPrice.toFixed(4)} (+${config.risk.takeProfitPercent}%)
-🛡️ Stop Loss: $${slPrice.toFixed(4)} (-${config.risk.stopLossPercent}%)
+📈 ${signal.symbol} ${signal.side}
+📝 ${reason}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendLimitEntryPlaced(position) {
+    const { symbol, side, plan, requestedSize, entryExpiresAt } = position;
+    
+    const message = `
+⏳ <b>LIMIT ENTRY PLACED</b>
+
+📈 ${symbol} ${side}
+💵 Entry: $${plan.entryPrice.toFixed(4)} (signal)
+📦 Size: ${requestedSize.toFixed(4)}
+⌛ Expires: ${new Date(entryExpiresAt).toISOString().slice(11, 16)} UTC
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendPositionUpdate(position, previousState, note) {
+    const { symbol, side, state } = position;
+    
+    const message = `
+🔄 <b>POSITION UPDATE</b>
+
+📈 ${symbol} ${side}
+${STATE_LABELS[previousState] || previousState} → <b>${STATE_LABELS[state] || state}</b>
+${note ? `📝 ${note}` : ''}
 `;
     
     await this.sendMessage(message);
   }
   
-  async sendTradeClose(position, reason, exitPrice, pnlUSD, pnlPercent, newBalance) {
+  /**
+   * @param {import('../nado/client.js').AccountSnapshot|null} account - null when it could not be fetched
+   */
+  async sendTradeClose(position, reason, exitPrice, pnlUSD, pnlPercent, account) {
     const { symbol, side, entryPrice } = position;
     
-    const emoji = pnlUSD >= 0 ? '✅' : '❌';
-    const reasonText = reason === 'TP' ? 'Take Profit Hit' : 'Stop Loss Hit';
+    // No exit price or PnL when the exchange closed it without fills to show for it
+    const emoji = pnlUSD == null ? '❔' : pnlUSD >= 0 ? '✅' : '❌';
+    const reasonText = CLOSE_REASONS[reason] || reason;
     
     const message = `
 ${emoji} <b>POSITION CLOSED</b>
@@ -74,26 +275,186 @@ ${emoji} <b>POSITION CLOSED</b>
 🔚 ${reasonText}
 
 💵 Entry: $${entryPrice.toFixed(4)}
-💵 Exit: $${exitPrice.toFixed(4)}
+💵 Exit: ${exitPrice == null ? 'unknown' : `$${exitPrice.toFixed(4)}`}
 
-💰 PnL: $${pnlUSD.toFixed(2)} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)
-💵 New Balance: $${newBalance.toFixed(2)}
+💰 PnL: ${pnlUSD == null ? 'unknown, not counted in risk limits or reports' : `$${pnlUSD.toFixed(2)} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`}
+${account ? formatAccount(account) : '⚠️ Account snapshot unavailable'}
 `;
     
     await this.sendMessage(message);
   }
   
-  async sendDailySummary(stats, totalPnL) {
+  async sendReconciliationReport(discrepancies) {
     const message = `
-📊 <b>DAILY SUMMARY</b>
+🔍 <b>RECONCILIATION</b>
 
-📈 Total Trades: ${stats.totalTrades}
-💰 Daily PnL: $${totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(2)}
-📂 Open Positions: ${stats.openPositions}
+${discrepancies.map(d => `• ${d}`).join('\n')}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendRiskHalt(halt, metrics, flattening = 0) {
+    const message = `
+🛑 <b>RISK HALT</b>
+
+⚠️ ${halt.reason}
+${formatRiskMetrics(metrics)}
+${flattening > 0 ? `\n🔻 Flattening ${flattening} open position(s)\n` : ''}
+New entries are blocked until ${halt.code === 'DRAWDOWN' ? '/resume' : 'the next UTC day or /resume'}.
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  /**
+   * Outcome of the closes sent on a risk halt, failures included
+   */
+  async sendRiskFlatten(results) {
+    await this.sendMessage(`🔻 <b>RISK HALT FLATTEN</b>\n\n${results.map(r => `• ${r}`).join('\n')}`);
+  }
+  
+  async sendRiskResumed(note) {
+    await this.sendMessage(`▶️ <b>RISK HALT LIFTED</b>\n\n${note}`);
+  }
+  
+  async sendCommandAck(command, result) {
+    const message = `
+🕹️ <b>${command}</b>
+
+${result}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  /**
+   * Runtime settings with overrides marked, and the latest changes
+   */
+  async sendSettings(settings, changes) {
+    const values = settings.map(({ key, value, overridden }) => `• ${key}: <code>${escapeHtml(value)}</code>${overridden ? ' ✏️' : ''}`);
+    const history = changes.map(({ key, value, previous, user, changedAt }) =>
+      `• ${new Date(changedAt).toISOString().slice(0, 16).replace('T', ' ')} ${escapeHtml(user)}: ${key} ${escapeHtml(previous)} → ${escapeHtml(value)}`
+    );
+    const message = `
+⚙️ <b>RUNTIME SETTINGS</b>
+
+${values.join('\n')}
+
+✏️ = changed with /set, kept across restarts until <code>/set &lt;SETTING&gt; reset</code>
+${history.length > 0 ? `\n📝 <b>Recent changes</b>\n${history.join('\n')}\n` : ''}`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendStatus({ account, positions, stats, isPaused, tradingHoursStatus, risk }) {
+    const message = `
+📟 <b>STATUS</b>
 
-🔄 Counter will reset at 00:00 UTC
+${risk.halt ? `🛑 Halted: ${risk.halt.reason}` : isPaused ? '⏸️ Paused (new signals ignored)' : '▶️ Running'}
+${formatAccount(account)}
+📂 Open Positions: ${positions.length}/${config.risk.maxOpenPositions}
+📈 Trades today: ${stats.totalTrades}/${config.risk.maxDailyTrades}
+💵 Realized PnL today: $${stats.realizedPnL >= 0 ? '+' : ''}${stats.realizedPnL.toFixed(2)}
+${risk.metrics ? `${formatRiskMetrics(risk.metrics)}\n` : ''}⏰ ${tradingHoursStatus}
 `;
     
     await this.sendMessage(message);
   }
+  
+  async sendPositions(positions) {
+    const formatPrice = (price) => (price != null ? `$${price.toFixed(4)}` : '—');
+    const lines = positions.map(p =>
+      `📈 <b>${p.symbol} ${p.side}</b> (${STATE_LABELS[p.state] || p.state})\n` +
+      `   Entry ${formatPrice(p.entryPrice)} · Size ${p.size.toFixed(4)}\n` +
+      `   TP ${formatPrice(p.tpPrice)} · SL ${formatPrice(p.slPrice)}`
+    );
+    
+    const message = `
+📂 <b>OPEN POSITIONS</b>
+
+${lines.length > 0 ? lines.join('\n\n') : 'No open positions'}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendLimits(stats, isPaused, risk) {
+    const { maxDailyLossPercent, maxConsecutiveLosses, maxDrawdownPercent, flattenOnHalt } = config.riskGuard;
+    const limit = (value, unit = '') => (value > 0 ? `${value}${unit}` : 'off');
+    const { metrics } = risk;
+    
+    const message = `
+🚦 <b>LIMITS</b>
+
+• Trades today: ${stats.totalTrades}/${config.risk.maxDailyTrades}
+• Open positions: ${stats.openPositions}/${config.risk.maxOpenPositions}
+• Risk per trade: ${config.risk.riskPercent}% · Max leverage ${config.risk.leverage}x
+• Daily loss: ${metrics ? `${Math.max(0, -metrics.dailyPnLPercent).toFixed(2)}%` : '—'}/${limit(maxDailyLossPercent, '%')}
+• Losing streak: ${metrics ? metrics.lossStreak : '—'}/${limit(maxConsecutiveLosses)}
+• Drawdown: ${metrics ? `${metrics.drawdownPercent.toFixed(2)}%` : '—'}/${limit(maxDrawdownPercent, '%')}${flattenOnHalt ? ' (flatten on halt)' : ''}
+• New entries: ${risk.halt ? `halted (${risk.halt.reason})` : isPaused ? 'paused' : 'allowed'}
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  async sendConfig() {
+    const message = `
+⚙️ <b>CONFIG</b>
+
+• Mode: ${config.mode} (${config.nado.network}, subaccount ${config.nado.subaccount})
+• Risk: ${config.risk.riskPercent}% · Max leverage ${config.risk.leverage}x
+• TP ${config.risk.takeProfitPercent}% · SL ${config.risk.stopLossPercent}% (${config.risk.stopMode})
+• Max daily trades: ${config.risk.maxDailyTrades}
+• Max open positions: ${config.risk.maxOpenPositions}
+• Entry timeout: ${config.risk.entryTimeoutSeconds}s
+• Same-symbol signals: ${config.signalPolicy.conflictPolicy}${Object.keys(config.signalPolicy.symbolPolicies).length ? ` (${Object.entries(config.signalPolicy.symbolPolicies).map(([s, p]) => `${s} ${p}`).join(', ')})` : ''} · dedup ${config.signalPolicy.dedupWindowMinutes} min · cooldown after SL ${config.signalPolicy.stopOutCooldownMinutes} min
+• Pre-trade checks: ${config.preTrade.enabled ? `health ≥ ${config.preTrade.minHealthPercent}% · liq. buffer ${config.preTrade.liquidationBufferPercent}% · funding ≤ ${config.preTrade.maxFundingRatePercent}%` : 'off'}
+• Trailing stop: ${config.trailingStop.mode === 'off' ? 'off' : describeTrailing(config.trailingStop)}
+• Trading hours: ${TradingHours.describeSchedule()}${config.tradingHours.blackouts.length ? ` · ${config.tradingHours.blackouts.filter(b => b.end > Date.now()).length} blackout(s) ahead` : ''}
+• Symbols: ${config.allowedSymbols.join(', ')}
+• Profiles: ${config.profiles.file ? `${config.profiles.file}\n${formatProfiles(config.profiles, '  ◦') || '  ◦ none'}` : 'none'}
+• Reconcile every: ${config.reconcile.intervalMinutes} min
+`;
+    
+    await this.sendMessage(message);
+  }
+  
+  /**
+   * @param {string} title - "DAILY", "WEEKLY", "MONTHLY"
+   * @param {import('../trading/tradeManager.js').PerformanceReport} report
+   */
+  async sendPerformanceReport(title, report) {
+    const day = (time) => new Date(time).toISOString().slice(0, 10);
+    const first = day(report.from);
+    const last = day(report.to - 1);
+    const funding = (value) => (value === null ? 'n/a' : `$${signed(value)}`);
+    const trade = (t) => `${t.symbol} ${t.side} $${signed(t.netPnL)} (${t.reason})`;
+
+    const lines = [`📊 <b>${title} REPORT</b> · ${first === last ? first : `${first} – ${last}`}`, ''];
+    if (report.trades === 0) {
+      lines.push('No trades closed');
+    } else {
+      lines.push(
+        `📈 Trades: ${report.trades} (${report.wins}W / ${report.losses}L, ${report.winRate.toFixed(1)}%)`,
+        `💰 Realized PnL: $${signed(report.pnlUSD)}`,
+        `💸 Fees: $${report.feesUSD.toFixed(2)}`,
+        `🔁 Funding: ${funding(report.fundingUSD)}`,
+        `🧾 Net: <b>$${signed(report.resultUSD)}</b>`,
+        `📐 Avg R: ${report.avgR === null ? 'n/a' : `${signed(report.avgR)}R`}`,
+        `🏆 Best: ${trade(report.best)}`,
+      );
+      if (report.worst) {
+        lines.push(`🥀 Worst: ${trade(report.worst)}`);
+      }
+      lines.push('', '<b>By symbol:</b>', ...report.bySymbol.map(s =>
+        `• ${s.symbol}: ${s.trades} trade(s), ${s.wins}W/${s.losses}L, $${signed(s.netPnL)} · fees $${s.feesUSD.toFixed(2)} · funding ${funding(s.fundingUSD)}`));
+    }
+    if (report.unknownPnL > 0) {
+      lines.push('', `❔ ${report.unknownPnL} closed on the exchange with unknown PnL, not counted`);
+    }
+
+    await this.sendMessage(lines.join('\n'));
+  }
 }
@@ -0,0 +1,77 @@
+import { config } from '../config.js';
+
+/**
+ * @typedef {Object} SizingResult
+ * @property {number} size - Base units, rounded down to the size increment; 0 when refused
+ * @property {number} notional - Quote value of `size` at the entry price
+ * @property {number} riskUSD - Loss if the stop fills, entry and exit fees included
+ * @property {number} leverage - Notional over equity
+ * @property {boolean} leverageCapped - Size was cut to stay within the leverage limit
+ * @property {string|null} reason - Why the trade cannot be sized
+ */
+
+/**
+ * Round towards zero to a multiple of `increment` (0 = no rounding). The
+ * epsilon keeps 0.3 / 0.1 from flooring to 2.
+ */
+export function roundToIncrement(value, increment) {
+  return increment > 0 ? Math.trunc(value / increment + 1e-9) * increment : value;
+}
+
+/**
+ * Quantity that loses RISK_PERCENT of equity when the stop fills.
+ *
+ * Entry and stop are rounded to the price tick the orders will be placed at,
+ * the taker fee is charged on both legs. The notional is capped at the lower
+ * of LEVERAGE and the product's maximum leverage; a capped trade risks less
+ * than RISK_PERCENT.
+ * @param {Object} params
+ * @param {number} params.equity - Account value in USDT0
+ * @param {number} params.entryPrice
+ * @param {number} params.stopPrice
+ * @param {{ sizeIncrement: number, priceIncrement: number, minSize: number, takerFeeRate: number, maxLeverage?: number }} params.product
+ * @param {number} [params.riskPercent]
+ * @param {number} [params.leverage] - Leverage limit, LEVERAGE by default
+ * @returns {SizingResult}
+ */
+export function calculatePositionSize({ equity, entryPrice, stopPrice, product, riskPercent = config.risk.riskPercent, leverage = config.risk.leverage }) {
+  const refuse = (reason) => ({ size: 0, notional: 0, riskUSD: 0, leverage: 0, leverageCapped: false, reason });
+
+  if (!(equity > 0)) {
+    return refuse('no equity');
+  }
+
+  const entry = roundToIncrement(entryPrice, product.priceIncrement);
+  const stop = roundToIncrement(stopPrice, product.priceIncrement);
+  const stopDistance = Math.abs(entry - stop);
+  if (!(entry > 0) || !(stopDistance > 0)) {
+    return refuse(`invalid stop distance (entry ${entryPrice}, stop ${stopPrice})`);
+  }
+
+  const feeRate = product.takerFeeRate || 0;
+  const lossPerUnit = stopDistance + (entry + stop) * feeRate;
+  const riskBudget = equity * riskPercent / 100;
+
+  const maxLeverage = Math.min(leverage, product.maxLeverage || Infinity);
+  const maxSize = equity * maxLeverage / entry;
+  const rawSize = riskBudget / lossPerUnit;
+  const size = roundToIncrement(Math.min(rawSize, maxSize), product.sizeIncrement);
+
+  if (size <= 0) {
+    return refuse(`size rounds to zero (increment ${product.sizeIncrement})`);
+  }
+
+  if (size < product.minSize) {
+    return refuse(`size ${size} is below the minimum order size of ${product.minSize}`);
+  }
+
+  const notional = size * entry;
+  return {
+    size,
+    notional,
+    riskUSD: size * lossPerUnit,
+    leverage: notional / equity,
+    leverageCapped: rawSize > maxSize,
+    reason: null,
+  };
+}
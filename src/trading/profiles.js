@@ -0,0 +1,57 @@
+import { config } from '../config.js';
+import { NadoClient } from '../nado/client.js';
+
+/**
+ * @typedef {Object} Profile
+ * @property {boolean} enabled - Whether signals for the symbol and type are traded
+ * @property {number} leverage - Leverage cap for sizing and the exposure check
+ * @property {number} riskPercent
+ * @property {number} takeProfitPercent - Single config TP when the provider gives none
+ * @property {number} stopLossPercent - Config SL when the provider gives none
+ * @property {number} maxOpenPositions - Positions open at once on the symbol
+ * @property {{ enabled: boolean, startUtc: string, endUtc: string, windows: import('../utils/tradingHours.js').TradingWindow[]|null, flattenAtSessionEnd: boolean }} tradingHours
+ * @property {string[]} sources - Profile entries applied, least specific first
+ */
+
+/**
+ * Settings for a signal on `symbol` of `signalType`: the global config,
+ * overridden by PROFILES_FILE entries for the signal type, the symbol and the
+ * symbol's own signal type, in that order. Symbols match by base asset.
+ * @param {string} symbol
+ * @param {string|null} [signalType]
+ * @returns {Profile}
+ */
+export function resolveProfile(symbol, signalType = null) {
+  const { symbols, signalTypes } = config.profiles;
+  const symbolKey = Object.keys(symbols)
+    .find(key => NadoClient.toBaseAsset(key) === NadoClient.toBaseAsset(symbol));
+  const symbolProfile = symbolKey ? symbols[symbolKey] : null;
+
+  const layers = [
+    [signalType, signalType ? signalTypes[signalType] : null],
+    [symbolKey, symbolProfile],
+    [`${symbolKey}/${signalType}`, signalType ? symbolProfile?.signalTypes?.[signalType] : null],
+  ].filter(([, layer]) => layer);
+
+  const { leverage, riskPercent, takeProfitPercent, stopLossPercent, maxOpenPositions } = config.risk;
+  const profile = {
+    enabled: true,
+    leverage,
+    riskPercent,
+    takeProfitPercent,
+    stopLossPercent,
+    maxOpenPositions,
+    tradingHours: { ...config.tradingHours },
+    sources: layers.map(([name]) => name),
+  };
+
+  for (const [, { signalTypes: _nested, tradingHours, ...overrides }] of layers) {
+    Object.assign(profile, overrides);
+    if (tradingHours) {
+      // A start/end pair of its own replaces the global schedule's windows
+      const ownPair = !tradingHours.windows && ('startUtc' in tradingHours || 'endUtc' in tradingHours);
+      Object.assign(profile.tradingHours, ownPair ? { windows: null } : {}, tradingHours);
+    }
+  }
+  return profile;
+}
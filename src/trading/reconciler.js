@@ -0,0 +1,214 @@
+import { logger } from '../utils/logger.js';
+
+// Positions younger than this may still be waiting for their TP/SL orders
+const GRACE_PERIOD_MS = 30 * 1000;
+// Share of a vanished position the fills found must cover to price its exit
+const EXIT_COVERAGE = 0.999;
+
+/**
+ * Compares the exchange state of the subaccount with TradeManager's records
+ * and repairs what it can: closes positions that no longer exist on Nado,
+ * re-places missing TP/SL orders and cancels orders nobody owns.
+ */
+export class Reconciler {
+  constructor(nadoClient, tradeManager, notifier) {
+    this.nado = nadoClient;
+    this.tradeManager = tradeManager;
+    this.notifier = notifier;
+    this.isRunning = false;
+  }
+
+  /**
+   * Run one reconciliation pass
+   * @returns {Promise<string[]>} Discrepancies found (and acted upon)
+   */
+  async run() {
+    if (this.isRunning) {
+      return [];
+    }
+    this.isRunning = true;
+
+    try {
+      const [exchangePositions, openOrders, triggerOrders] = await Promise.all([
+        this.nado.getPositions(),
+        this.nado.getOpenOrders(),
+        this.nado.getOpenTriggerOrders(),
+      ]);
+
+      const discrepancies = [
+        ...(await this.reconcilePositions(exchangePositions, openOrders, triggerOrders)),
+        ...(await this.cancelOrphanOrders(openOrders, triggerOrders)),
+      ];
+
+      if (discrepancies.length > 0) {
+        logger.info(`Reconciliation found ${discrepancies.length} discrepancies`);
+        await this.notifier.sendReconciliationReport(discrepancies);
+      } else {
+        logger.debug('Reconciliation: exchange state matches local records');
+      }
+
+      return discrepancies;
+
+    } catch (error) {
+      logger.error('Reconciliation failed:', error);
+      return [];
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async reconcilePositions(exchangePositions, openOrders, triggerOrders) {
+    const discrepancies = [];
+    const openDigests = new Set(openOrders.map(o => o.digest));
+    const triggerDigests = new Set(triggerOrders.map(o => o.digest));
+    const localProducts = new Set();
+    const sizeChecked = new Set();
+    const attributed = new Map(); // productId -> closing fill size given to vanished positions
+
+    for (const position of [...this.tradeManager.openPositions.values()]) {
+      localProducts.add(position.productId);
+
+      // Young positions may still await TP/SL; entries and closes are in flight
+      const inFlight = ['pending', 'partially_filled', 'closing'].includes(position.state);
+      if (Date.now() - position.openTime < GRACE_PERIOD_MS || inFlight) {
+        continue;
+      }
+
+      const onExchange = exchangePositions.find(p => p.productId === position.productId);
+
+      if (!onExchange) {
+        const exit = await this.findExit(position, attributed.get(position.productId) || 0);
+        if (exit) {
+          attributed.set(position.productId, (attributed.get(position.productId) || 0) + position.size);
+          position.feesUSD = (position.feesUSD || 0) + exit.fee;
+          discrepancies.push(`${position.symbol} ${position.side}: closed on exchange @ ${exit.price}, closing locally`);
+        } else {
+          discrepancies.push(`${position.symbol} ${position.side}: closed on exchange, no fills found for it, closing locally with unknown PnL`);
+        }
+        await this.tradeManager.closePosition(position, 'RECONCILED', exit ? exit.price : null);
+        continue;
+      }
+
+      // Scale-ins are separate positions on one product: compare the total once
+      if (!sizeChecked.has(position.productId)) {
+        sizeChecked.add(position.productId);
+        const localSize = [...this.tradeManager.openPositions.values()]
+          .filter(p => p.productId === position.productId)
+          .reduce((sum, p) => sum + p.size, 0);
+        const exchangeSize = Math.abs(onExchange.amount);
+        if (Math.abs(exchangeSize - localSize) > localSize * 0.001) {
+          discrepancies.push(
+            `${position.symbol} ${position.side}: size ${localSize} locally, ${exchangeSize} on exchange`
+          );
+        }
+      }
+
+      const missingLegs = (position.tpLegs || []).filter(
+        leg => leg.status === 'open' && (!leg.orderDigest || !openDigests.has(leg.orderDigest))
+      );
+      if (missingLegs.length > 0) {
+        for (const leg of missingLegs) {
+          discrepancies.push(`${position.symbol} ${position.side}: TP${leg.index} order missing, re-placing`);
+          leg.orderDigest = null;
+        }
+        await this.tradeManager.placeTpOrders(position).catch((error) => {
+          discrepancies.push(`${position.symbol}: TP re-placement failed (${error.message})`);
+        });
+      }
+
+      const hasNativeSl = position.slOrderDigest && triggerDigests.has(position.slOrderDigest);
+      if (position.slMode !== 'software' && !hasNativeSl) {
+        discrepancies.push(`${position.symbol} ${position.side}: SL order missing, re-placing`);
+        await this.tradeManager.placeSlOrder(position).catch((error) => {
+          discrepancies.push(`${position.symbol}: SL re-placement failed (${error.message})`);
+        });
+      }
+    }
+
+    for (const position of exchangePositions) {
+      if (!localProducts.has(position.productId)) {
+        discrepancies.push(`${position.symbol}: untracked position of ${position.amount} on exchange`);
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Average price and fees of the fills that closed what was left of a
+   * position gone from the exchange: the latest fills against its side since
+   * it opened, after `skip` already given to other positions on the product
+   * @returns {Promise<{ price: number, fee: number }|null>} null when the fills
+   *   found do not cover its size
+   */
+  async findExit(position, skip) {
+    const fills = await this.nado.getFills(position.productId, position.openTime).catch((error) => {
+      logger.error(`Fill history for ${position.symbol} unavailable:`, error);
+      return [];
+    });
+    const closingSign = position.side === 'LONG' ? -1 : 1;
+
+    let skipped = 0;
+    let size = 0;
+    let quote = 0;
+    let fee = 0;
+    for (const fill of fills) {
+      if (Math.sign(fill.amount) !== closingSign) {
+        continue;
+      }
+      let amount = Math.abs(fill.amount);
+      const skipping = Math.min(amount, skip - skipped);
+      skipped += skipping;
+      amount -= skipping;
+
+      const taken = Math.min(amount, position.size - size);
+      if (taken > 0) {
+        size += taken;
+        quote += taken * fill.price;
+        fee += fill.fee * (taken / Math.abs(fill.amount));
+      }
+      if (size >= position.size * EXIT_COVERAGE) {
+        return { price: quote / size, fee };
+      }
+    }
+    return null;
+  }
+
+  async cancelOrphanOrders(openOrders, triggerOrders) {
+    const discrepancies = [];
+    const owned = new Set();
+
+    for (const position of this.tradeManager.openPositions.values()) {
+      owned.add(position.digest); // Resting limit entry
+      for (const leg of position.tpLegs || []) {
+        owned.add(leg.orderDigest);
+      }
+      owned.add(position.slOrderDigest);
+      owned.add(position.closeOrderDigest);
+    }
+
+    const orders = [
+      ...openOrders.map(o => ({ ...o, isTrigger: false })),
+      ...triggerOrders.map(o => ({ ...o, isTrigger: true })),
+    ];
+
+    for (const order of orders) {
+      if (owned.has(order.digest)) {
+        continue;
+      }
+
+      try {
+        if (order.isTrigger) {
+          await this.nado.cancelTriggerOrder(order.productId, order.digest);
+        } else {
+          await this.nado.cancelOrder(order.productId, order.digest);
+        }
+        discrepancies.push(`Cancelled orphan order ${order.digest.slice(0, 10)}… on product ${order.productId}`);
+      } catch (error) {
+        discrepancies.push(`Failed to cancel orphan order ${order.digest.slice(0, 10)}… (${error.message})`);
+      }
+    }
+
+    return discrepancies;
+  }
+}
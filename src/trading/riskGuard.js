@@ -0,0 +1,241 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { utcDayKey } from '../storage/tradeStore.js';
+
+// Halts that a new UTC day lifts; a drawdown halt needs the operator
+const DAILY_HALTS = ['DAILY_LOSS', 'LOSS_STREAK'];
+
+/**
+ * @typedef {Object} RiskHalt
+ * @property {'DAILY_LOSS'|'LOSS_STREAK'|'DRAWDOWN'} code
+ * @property {string} reason
+ * @property {string} dayKey - UTC day the halt was triggered on
+ * @property {number} at
+ */
+
+/**
+ * @typedef {Object} RiskMetrics
+ * @property {number} equity - Balance plus unrealized PnL
+ * @property {number} realizedPnL - Closed trades today
+ * @property {number} unrealizedPnL - Open positions at mark
+ * @property {number} dailyPnL - Equity change since the start of the UTC day
+ * @property {number} dailyPnLPercent
+ * @property {number} drawdownPercent - Below the equity peak
+ * @property {number} lossStreak - Losing trades in a row
+ */
+
+/**
+ * Account-level circuit breaker. Periodically values the account at mark,
+ * and halts new entries in TradeManager when the daily loss, the losing
+ * streak or the drawdown from the equity peak reach their limits, optionally
+ * flattening everything. Baselines and the halt are journaled so a restart
+ * cannot reset them.
+ */
+export class RiskGuard {
+  constructor(nadoClient, tradeManager, notifier, store) {
+    this.nado = nadoClient;
+    this.tradeManager = tradeManager;
+    this.notifier = notifier;
+    this.store = store;
+    this.state = {
+      dayKey: null,
+      dayStartEquity: null,
+      peakEquity: null,
+      lossStreakSince: 0,
+      halt: null,
+    };
+    this.metrics = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Restore journaled state and re-apply a halt that is still in force
+   */
+  load() {
+    Object.assign(this.state, this.store.guardState);
+    if (this.state.halt) {
+      this.tradeManager.halt(this.state.halt.reason);
+      logger.info(`🛑 Risk guard halt still active: ${this.state.halt.reason}`);
+    }
+  }
+
+  /**
+   * Value the account and trip the breaker when a limit is reached
+   * @returns {Promise<RiskMetrics|null>}
+   */
+  async check() {
+    if (this.isChecking) {
+      return this.metrics;
+    }
+    this.isChecking = true;
+
+    try {
+      const before = JSON.stringify(this.state);
+      const { equity, unrealizedPnL } = await this.valueAccount();
+      const today = utcDayKey();
+
+      if (this.state.dayKey !== today) {
+        await this.startDay(today, equity);
+      }
+      if (this.state.peakEquity === null || equity > this.state.peakEquity) {
+        this.state.peakEquity = equity;
+      }
+
+      const { dayStartEquity, peakEquity } = this.state;
+      const dailyPnL = equity - dayStartEquity;
+      this.metrics = {
+        equity,
+        realizedPnL: this.store.getClosedTradesOn(today).reduce((sum, t) => sum + (t.pnlUSD ?? 0), 0),
+        unrealizedPnL,
+        dailyPnL,
+        dailyPnLPercent: dayStartEquity > 0 ? (dailyPnL / dayStartEquity) * 100 : 0,
+        drawdownPercent: peakEquity > 0 ? ((peakEquity - equity) / peakEquity) * 100 : 0,
+        lossStreak: this.countLossStreak(),
+      };
+
+      if (!this.state.halt) {
+        const breach = this.findBreach(this.metrics);
+        if (breach) {
+          await this.trip(breach.code, breach.reason);
+        }
+      }
+
+      if (JSON.stringify(this.state) !== before) {
+        this.store.saveGuardState(this.state);
+      }
+      return this.metrics;
+
+    } catch (error) {
+      logger.error('Risk guard check failed:', error);
+      return this.metrics;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Equity and unrealized PnL of the whole subaccount, positions the bot
+   * does not manage included
+   */
+  async valueAccount() {
+    const { equity, unrealizedPnL } = await this.nado.getAccountSnapshot();
+    return { equity, unrealizedPnL };
+  }
+
+  /**
+   * New UTC day: fresh daily baseline and loss streak; daily halts lift
+   */
+  async startDay(dayKey, equity) {
+    this.state.dayKey = dayKey;
+    this.state.dayStartEquity = equity;
+    this.state.lossStreakSince = Date.now();
+
+    const { halt } = this.state;
+    if (halt && DAILY_HALTS.includes(halt.code)) {
+      this.state.halt = null;
+      this.tradeManager.clearHalt();
+      logger.info(`▶️  Risk guard: new UTC day, lifting halt (${halt.reason})`);
+      await this.notifier.sendRiskResumed(`New UTC day, lifted: ${halt.reason}`);
+    }
+  }
+
+  /**
+   * Losing closed trades in a row, counted since the day start or the last
+   * resume; trades with unknown PnL neither count nor break the streak
+   */
+  countLossStreak() {
+    let streak = 0;
+    for (let i = this.store.closedTrades.length - 1; i >= 0; i--) {
+      const trade = this.store.closedTrades[i];
+      if (trade.closeTime < this.state.lossStreakSince) {
+        break;
+      }
+      if (trade.pnlUSD == null) {
+        continue;
+      }
+      if (trade.pnlUSD >= 0) {
+        break;
+      }
+      streak++;
+    }
+    return streak;
+  }
+
+  /**
+   * @param {RiskMetrics} metrics
+   * @returns {{ code: RiskHalt['code'], reason: string }|null}
+   */
+  findBreach(metrics) {
+    const { maxDailyLossPercent, maxConsecutiveLosses, maxDrawdownPercent } = config.riskGuard;
+
+    if (maxDailyLossPercent > 0 && -metrics.dailyPnLPercent >= maxDailyLossPercent) {
+      return {
+        code: 'DAILY_LOSS',
+        reason: `daily loss ${(-metrics.dailyPnLPercent).toFixed(2)}% reached the ${maxDailyLossPercent}% limit`,
+      };
+    }
+    if (maxConsecutiveLosses > 0 && metrics.lossStreak >= maxConsecutiveLosses) {
+      return {
+        code: 'LOSS_STREAK',
+        reason: `${metrics.lossStreak} losing trades in a row`,
+      };
+    }
+    if (maxDrawdownPercent > 0 && metrics.drawdownPercent >= maxDrawdownPercent) {
+      return {
+        code: 'DRAWDOWN',
+        reason: `drawdown ${metrics.drawdownPercent.toFixed(2)}% from the equity peak reached the ${maxDrawdownPercent}% limit`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Block entries, journal the halt and alert before flattening, so neither
+   * is lost when a close fails
+   */
+  async trip(code, reason) {
+    this.state.halt = { code, reason, dayKey: this.state.dayKey, at: Date.now() };
+    this.tradeManager.halt(reason);
+    this.store.saveGuardState(this.state);
+    logger.error(`🛑 Risk guard halt: ${reason}`);
+
+    const positions = config.riskGuard.flattenOnHalt ? [...this.tradeManager.openPositions.values()] : [];
+    await this.notifier.sendRiskHalt(this.state.halt, this.metrics, positions.length);
+    if (positions.length === 0) {
+      return;
+    }
+
+    const results = await Promise.allSettled(positions.map(p => this.tradeManager.closeManually(p, 'RISK_HALT')));
+    const flattened = results.map((result, i) => {
+      if (result.status === 'fulfilled') {
+        return result.value;
+      }
+      logger.error(`Risk halt close failed for ${positions[i].symbol}:`, result.reason);
+      return `❌ ${positions[i].symbol} ${positions[i].side}: close failed (${result.reason?.message || result.reason})`;
+    });
+    await this.notifier.sendRiskFlatten(flattened);
+  }
+
+  /**
+   * Operator resume: lifts the halt and restarts the daily, drawdown and
+   * streak baselines from the current equity
+   * @returns {Promise<RiskHalt|null>} The halt that was lifted
+   */
+  async resume() {
+    const { halt } = this.state;
+    if (!halt) {
+      return null;
+    }
+
+    const { equity } = await this.valueAccount();
+    this.state.halt = null;
+    this.state.dayStartEquity = equity;
+    this.state.peakEquity = equity;
+    this.state.lossStreakSince = Date.now();
+    this.store.saveGuardState(this.state);
+    this.tradeManager.clearHalt();
+
+    logger.info(`▶️  Risk guard halt lifted by operator (${halt.reason})`);
+    return halt;
+  }
+}
@@ -1,36 +1,225 @@
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
 import { config } from '../config.js';
+import { utcDayKey } from '../storage/tradeStore.js';
+import { buildTradePlan, priceDriftPercent, resolveExitLevels } from './tradePlan.js';
+import { calculatePositionSize } from './positionSizer.js';
+import { resolveProfile } from './profiles.js';
+import { calculateAtr, createTrailingState, isActivated, nextTrailingStop, trailingDistance } from './trailingStop.js';
+import { NadoClient } from '../nado/client.js';
+import { TradingHours } from '../utils/tradingHours.js';
+
+/**
+ * Position lifecycle:
+ * pending -> partially_filled -> filled -> protected -> closing -> closed
+ * An entry that never fills goes straight from pending to closed.
+ */
+const TRANSITIONS = {
+  pending: ['partially_filled', 'filled', 'closed'],
+  partially_filled: ['partially_filled', 'filled', 'closed'],
+  filled: ['protected', 'closing', 'closed'],
+  protected: ['closing', 'closed'],
+  closing: ['closed'],
+};
+
+const ENTRY_STATES = ['pending', 'partially_filled'];
+
+// Below this equity in USDT0 nothing is opened
+export const MIN_EQUITY = 5;
+
+// A reversal entry is dropped if closing the old side takes longer than this
+const REVERSAL_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * @typedef {Object} PerformanceReport
+ * @property {number} from
+ * @property {number} to
+ * @property {number} trades - Closed trades with a known PnL
+ * @property {number} unknownPnL - Trades closed on the exchange without fills to price them, left out
+ * @property {number} wins - Trades with a positive result after fees
+ * @property {number} losses
+ * @property {number} winRate
+ * @property {number} pnlUSD - Realized PnL before fees
+ * @property {number} feesUSD
+ * @property {number} netPnL - pnlUSD - feesUSD
+ * @property {number|null} fundingUSD - Funding received (+) or paid (-), null when unknown
+ * @property {number} resultUSD - netPnL with funding
+ * @property {number|null} avgR - Mean net result in units of the planned risk
+ * @property {Object|null} best
+ * @property {Object|null} worst
+ * @property {Object[]} bySymbol - Same totals per base asset, best first
+ */
+
+/**
+ * Fingerprint of what a signal says, regardless of which message carried it
+ */
+function signalHash({ symbol, side, signalType, entry, takeProfits, stopLoss, leverage, stats }) {
+  const content = JSON.stringify([NadoClient.toBaseAsset(symbol), side, signalType, entry, takeProfits, stopLoss, leverage, stats]);
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function isSameAsset(a, b) {
+  return NadoClient.toBaseAsset(a) === NadoClient.toBaseAsset(b);
+}
+
+/**
+ * Oracle price at which maintenance health reaches zero, other products held
+ * at their current price. Health moves by amount × weight per unit of price.
+ * @param {{ amount: number, oraclePrice: number, longWeightMaintenance: number, shortWeightMaintenance: number }} perp
+ * @param {number} maintenanceHealth
+ * @returns {number|null} null when the position cannot be liquidated by price alone
+ */
+function estimateLiquidationPrice(perp, maintenanceHealth) {
+  const weight = perp.amount > 0 ? perp.longWeightMaintenance : perp.shortWeightMaintenance;
+  const slope = perp.amount * weight;
+  if (slope === 0) {
+    return null;
+  }
+  const price = perp.oraclePrice - maintenanceHealth / slope;
+  return price > 0 ? price : null;
+}
 
 export class TradeManager {
-  constructor(nadoClient, notifier) {
+  constructor(nadoClient, notifier, store) {
     this.nado = nadoClient;
     this.notifier = notifier;
+    this.store = store;
     this.openPositions = new Map(); // digest -> position data
-    this.dailyTrades = 0;
-    this.lastResetDate = new Date().toDateString();
+    this.stopMonitorTimer = null;
+    this.entryTimers = new Map(); // entry digest -> timeout handle
+    this.priceWatchers = new Set(); // digests of positions watching their mark price
+    this.trailingInFlight = new Set(); // digests with a stop amendment under way
+    this.isPaused = false;
+    this.haltReason = null; // set by RiskGuard
+    this.pendingReversals = new Map(); // base asset -> { signal, expiresAt } waiting for the old side to close
+  }
+  
+  /**
+   * Reload open positions from the store and resume watching their entry and
+   * TP/SL orders
+   */
+  async restorePositions() {
+    for (const position of this.store.getOpenPositions()) {
+      this.migrateSingleTakeProfit(position);
+      this.migrateTrailPercent(position);
+      this.openPositions.set(position.digest, position);
+      if (position.trailing) {
+        this.watchMarkPrice(position);
+      }
+      
+      for (const leg of position.tpLegs || []) {
+        if (leg.orderDigest) {
+          this.resumeOrderTracking(position, leg.orderDigest, leg.size - leg.filledSize);
+        }
+      }
+      for (const digest of [position.slOrderDigest, position.closeOrderDigest]) {
+        if (digest) {
+          this.resumeOrderTracking(position, digest, position.size);
+        }
+      }
+      
+      if (ENTRY_STATES.includes(position.state)) {
+        this.resumeOrderTracking(position, position.digest, position.requestedSize);
+      }
+    }
+    
+    // Fills from while the bot was down, before any entry deadline runs out
+    await this.nado.pollTrackedOrders().catch((error) => {
+      logger.error('Order catch-up after restore failed:', error);
+    });
+    
+    // Entries interrupted by a restart keep their deadline; overdue ones
+    // are settled with whatever filled
+    for (const position of this.openPositions.values()) {
+      if (ENTRY_STATES.includes(position.state)) {
+        this.scheduleEntryTimeout(position, Math.max(0, (position.entryExpiresAt || 0) - Date.now()));
+      }
+    }
+    
+    if (this.openPositions.size > 0) {
+      logger.info(`Restored ${this.openPositions.size} open positions`);
+    }
+  }
+  
+  /**
+   * Watch an order placed before the restart again, for its own amount and
+   * counting the fills already journaled, so the catch-up poll reports only
+   * what filled while the bot was down
+   * @param {number} fallbackAmount Order size if the order is not journaled
+   */
+  resumeOrderTracking(position, digest, fallbackAmount) {
+    const { order, fills } = this.store.getOrderHistory(digest);
+    const amount = Math.abs(order?.amount ?? fallbackAmount);
+    const reported = { filledX18: 0n, filledQuote: 0, feePaid: 0 };
+    for (const fill of fills) {
+      reported.filledX18 += BigInt(this.nado.toX18(fill.filledAmount));
+      reported.filledQuote += fill.filledAmount * (fill.fillPrice ?? fill.avgFillPrice);
+      reported.feePaid += fill.fee || 0;
+    }
+    this.nado.trackOrder(digest, position.productId, BigInt(this.nado.toX18(amount)), reported);
+  }
+  
+  /**
+   * Positions journaled before TP ladders had a single `tpOrderDigest`
+   */
+  migrateSingleTakeProfit(position) {
+    if (!position.tpOrderDigest || position.tpLegs) {
+      return;
+    }
+    position.initialSize = position.size;
+    position.realizedPnL = 0;
+    position.tpLegs = [{
+      index: 1,
+      price: position.tpPrice,
+      share: 100,
+      source: position.tpSource || 'config',
+      size: position.size,
+      filledSize: 0,
+      exitPrice: null,
+      pnlUSD: 0,
+      status: 'open',
+      orderDigest: position.tpOrderDigest,
+    }];
+    delete position.tpOrderDigest;
   }
   
-  resetDailyCounterIfNeeded() {
-    const today = new Date().toDateString();
-    if (this.lastResetDate !== today) {
-      this.dailyTrades = 0;
-      this.lastResetDate = today;
-      logger.info('Daily trade counter reset');
+  /**
+   * Positions journaled before trailing stops had a `trailPercent` after TP1
+   */
+  migrateTrailPercent(position) {
+    if (!position.trailPercent || position.trailing) {
+      return;
     }
+    position.trailing = createTrailingState(position, { mode: 'percent', percent: position.trailPercent });
+    delete position.trailPercent;
   }
   
-  canOpenNewPosition() {
-    this.resetDailyCounterIfNeeded();
+  /**
+   * Why no new position can be opened right now, or null
+   * @param {import('./profiles.js').Profile} [profile] - Adds the symbol's own position limit
+   * @param {string} [symbol]
+   */
+  entryBlockReason(profile = null, symbol = null) {
+    if (this.haltReason) {
+      return `risk guard halt (${this.haltReason})`;
+    }
     
-    if (this.dailyTrades >= config.risk.maxDailyTrades) {
-      return false;
+    if (this.store.countTradesOpenedOn(utcDayKey()) >= config.risk.maxDailyTrades) {
+      return `daily trade limit of ${config.risk.maxDailyTrades} reached`;
     }
     
     if (this.openPositions.size >= config.risk.maxOpenPositions) {
-      return false;
+      return `${config.risk.maxOpenPositions} open position limit reached`;
     }
     
-    return true;
+    if (profile) {
+      const onSymbol = [...this.openPositions.values()].filter(p => isSameAsset(p.symbol, symbol)).length;
+      if (onSymbol >= profile.maxOpenPositions) {
+        return `${profile.maxOpenPositions} open position limit for ${symbol} reached`;
+      }
+    }
+    
+    return null;
   }
   
   /**
@@ -39,105 +228,567 @@ export class TradeManager {
    */
   async executeTrade(signal) {
     try {
-      if (!this.canOpenNewPosition()) {
-        return;
-      }
-      
-      const { symbol, signalType } = signal;
-      
-      // Determine side based on signal type (mean reversion)
-      const side = signalType === 'SHORT_SQUEEZE' ? 'SHORT' : 'LONG';
-      
-      logger.trade(`Executing ${side} on ${symbol}`);
-      
-      // Get product info
-      const product = await this.nado.getProductBySymbol(symbol);
-      if (!product) {
-        logger.error(`Product not found: ${symbol}`);
-        return;
-      }
-      
-      // Get current balance
-      const balance = await this.nado.getSubaccountBalance();
-      const availableUSDT = balance.USDT0 || 0;
-      
-      if (availableUSDT < 5) {
-        logger.error('Insufficient balance (minimum $5 USDT0 required)');
-        await this.notifier.sendMessage('⚠️ Insufficient balance for trading');
-        return;
-      }
+      const hash = signalHash(signal);
+      const duplicate = this.findDuplicate(signal, hash);
+      this.store.recordSignal({ ...signal, hash });
       
-      // Calculate position size
-      const positionSize = this.calculatePositionSize(availableUSDT);
-      
-      // Get current market price from product
-      const entryPrice = product.mark_price_x18 
-        ? this.nado.fromX18(product.mark_price_x18) 
-        : signal.stats?.lastPrice || 0;
-      
-      if (!entryPrice) {
-        logger.error('Cannot determine entry price');
+      const profile = resolveProfile(signal.symbol, signal.signalType);
+      const skipReason = this.gateReason(signal, profile) || duplicate || this.stopOutCooldown(signal.symbol);
+      if (skipReason) {
+        this.skipSignal(signal, skipReason);
         return;
       }
       
-      // Calculate TP and SL prices
-      const tpPrice = side === 'LONG'
-        ? entryPrice * (1 + config.risk.takeProfitPercent / 100)
-        : entryPrice * (1 - config.risk.takeProfitPercent / 100);
-      
-      const slPrice = side === 'LONG'
-        ? entryPrice * (1 - config.risk.stopLossPercent / 100)
-        : entryPrice * (1 + config.risk.stopLossPercent / 100);
-      
-      // Place market order for entry
-      const amount = side === 'LONG' ? positionSize : -positionSize;
-      const entryOrder = await this.placeMarketOrder(product.product_id, amount, entryPrice);
-      
-      if (!entryOrder || !entryOrder.digest) {
-        logger.error('Failed to place entry order');
-        return;
+      if (await this.resolveConflict(signal)) {
+        await this.openPosition(signal, profile);
       }
       
-      // Store position data
-      const position = {
-        digest: entryOrder.digest,
-        symbol,
-        side,
-        entryPrice,
-        size: positionSize,
-        tpPrice,
-        slPrice,
-        productId: product.product_id,
-        openTime: Date.now(),
-        tpOrderDigest: null,
-        slOrderDigest: null,
-      };
-      
-      this.openPositions.set(entryOrder.digest, position);
-      this.dailyTrades++;
-      
-      // Place TP and SL limit orders after entry
-      setTimeout(async () => {
-        await this.placeTpSlOrders(position);
-      }, 2000); // Wait 2s for entry to fill
-      
-      // Send notification
-      await this.notifier.sendTradeOpen(position, availableUSDT);
-      
-      logger.trade(`Position opened: ${side} ${symbol} @ ${entryPrice}`);
-      
     } catch (error) {
       logger.error('Trade execution error:', error);
       await this.notifier.sendMessage(`❌ Trade execution failed: ${error.message}`);
     }
   }
   
-  calculatePositionSize(balance) {
-    return (balance * config.risk.riskPercent / 100 * config.risk.leverage);
+  /**
+   * Skip reason for a signal that may not open right now: trading paused,
+   * disabled by its profile, or too old. Risk halts and position limits are
+   * checked when the entry is sized.
+   */
+  gateReason(signal, profile) {
+    if (this.isPaused) {
+      return 'trading paused';
+    }
+    if (!profile.enabled) {
+      return `disabled by profile ${profile.sources.join(' > ')}`;
+    }
+    return this.staleReason(signal);
+  }
+  
+  /**
+   * Skip reason for a message older than SIGNAL_MAX_AGE_SECONDS, e.g. backlog
+   * delivered when polling restarts
+   */
+  staleReason(signal) {
+    const { maxAgeSeconds } = config.signalPolicy;
+    if (!signal.postedAt || !(maxAgeSeconds > 0)) {
+      return null;
+    }
+    const ageSeconds = (Date.now() - signal.postedAt) / 1000;
+    return ageSeconds > maxAgeSeconds
+      ? `stale: posted ${Math.round(ageSeconds)}s ago, limit ${maxAgeSeconds}s`
+      : null;
+  }
+  
+  /**
+   * Same message, or the same content, seen within SIGNAL_DEDUP_WINDOW_MINUTES
+   * @returns {string|null} Skip reason
+   */
+  findDuplicate(signal, hash) {
+    const since = Date.now() - config.signalPolicy.dedupWindowMinutes * 60 * 1000;
+    
+    for (let i = this.store.signals.length - 1; i >= 0; i--) {
+      const seen = this.store.signals[i];
+      if (seen.receivedAt < since) {
+        break;
+      }
+      if (signal.messageId != null && seen.messageId === signal.messageId && seen.channelId === signal.channelId) {
+        return `duplicate of message ${seen.messageId}`;
+      }
+      if (seen.hash === hash) {
+        const minutes = Math.round((Date.now() - seen.receivedAt) / 60000);
+        return `same signal as message ${seen.messageId} ${minutes} min ago`;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Skip reason while the symbol is cooling down after a losing stop-out;
+   * breakeven and trailing stops that closed in profit do not count
+   */
+  stopOutCooldown(symbol) {
+    const cooldownMs = config.signalPolicy.stopOutCooldownMinutes * 60 * 1000;
+    if (!(cooldownMs > 0)) {
+      return null;
+    }
+    
+    const lastStop = this.store.closedTrades.findLast(t => t.reason === 'SL' && t.pnlUSD < 0 && isSameAsset(t.symbol, symbol));
+    if (!lastStop || Date.now() - lastStop.closeTime >= cooldownMs) {
+      return null;
+    }
+    const until = new Date(lastStop.closeTime + cooldownMs).toISOString().slice(11, 16);
+    return `cooldown after the ${lastStop.symbol} stop-out, until ${until} UTC`;
+  }
+  
+  /**
+   * SIGNAL_CONFLICT_POLICY for a symbol, per-symbol overrides first
+   */
+  conflictPolicy(symbol) {
+    const { symbolPolicies, conflictPolicy } = config.signalPolicy;
+    const key = Object.keys(symbolPolicies).find(k => isSameAsset(k, symbol));
+    return key ? symbolPolicies[key] : conflictPolicy;
+  }
+  
+  /**
+   * Apply the conflict policy when the symbol already has positions
+   * @returns {Promise<boolean>} Whether to go on and open a position now
+   */
+  async resolveConflict(signal) {
+    const { symbol, side } = signal;
+    const existing = [...this.openPositions.values()].filter(p => isSameAsset(p.symbol, symbol));
+    if (existing.length === 0) {
+      return true;
+    }
+    
+    const policy = this.conflictPolicy(symbol);
+    const opposing = existing.filter(p => p.side !== side);
+    
+    if (opposing.length === 0) {
+      const { maxScaleIns } = config.signalPolicy;
+      if (policy === 'scale_in' && existing.length <= maxScaleIns) {
+        logger.info(`Scaling into ${symbol} ${side}: entry ${existing.length + 1} of ${maxScaleIns + 1}`);
+        return true;
+      }
+      this.skipSignal(signal, policy === 'scale_in'
+        ? `scale-in limit reached (${existing.length} ${side} entries on ${symbol})`
+        : `${side} already open on ${symbol}`);
+      return false;
+    }
+    
+    if (policy !== 'reverse' && policy !== 'close_only') {
+      this.skipSignal(signal, `opposite ${opposing[0].side} open on ${symbol}`);
+      return false;
+    }
+    
+    const reverse = policy === 'reverse';
+    const results = await Promise.all(
+      opposing.map(p => this.closeManually(p, reverse ? 'REVERSED' : 'OPPOSING_SIGNAL'))
+    );
+    if (reverse) {
+      this.pendingReversals.set(NadoClient.toBaseAsset(symbol), { signal, expiresAt: Date.now() + REVERSAL_TIMEOUT_MS });
+    }
+    
+    logger.trade(`${side} signal against open ${opposing[0].side} on ${symbol}: ${reverse ? 'reversing' : 'closing'}`);
+    await this.notifier.sendMessage(
+      `🔁 ${symbol}: ${side} signal against the open ${opposing[0].side}, ${reverse ? 'reversing' : 'closing only'}\n${results.join('\n')}`
+    );
+    return false;
+  }
+  
+  /**
+   * Open the reversal waiting on this symbol once its old side is fully closed
+   */
+  async openPendingReversal(symbol) {
+    const asset = NadoClient.toBaseAsset(symbol);
+    const reversal = this.pendingReversals.get(asset);
+    if (!reversal || [...this.openPositions.values()].some(p => isSameAsset(p.symbol, symbol))) {
+      return;
+    }
+    
+    this.pendingReversals.delete(asset);
+    if (Date.now() > reversal.expiresAt) {
+      this.skipSignal(reversal.signal, 'reversal expired before the old position closed');
+      return;
+    }
+    
+    // Paused, stale or out of hours by now; openPosition checks risk halts
+    const { signal } = reversal;
+    const profile = resolveProfile(signal.symbol, signal.signalType);
+    const now = new Date();
+    let skipReason = this.gateReason(signal, profile);
+    if (!skipReason && !TradingHours.isWithinTradingHours(now, profile.tradingHours)) {
+      const blackout = TradingHours.activeBlackout(now);
+      skipReason = blackout ? `blackout (${blackout.name})` : 'outside trading hours';
+    }
+    if (skipReason) {
+      this.skipSignal(signal, `reversal not opened: ${skipReason}`);
+      return;
+    }
+    
+    try {
+      await this.openPosition(signal, profile);
+    } catch (error) {
+      logger.error('Reversal entry error:', error);
+      await this.notifier.sendMessage(`❌ Reversal entry failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Size, check and place the entry for an accepted signal
+   * @param {import('../signals/registry.js').Signal} signal
+   * @param {import('./profiles.js').Profile} [profile]
+   */
+  async openPosition(signal, profile = resolveProfile(signal.symbol, signal.signalType)) {
+    const blockReason = this.entryBlockReason(profile, signal.symbol);
+    if (blockReason) {
+      this.skipSignal(signal, blockReason);
+      return;
+    }
+    
+    // Side is resolved by the signal parser (explicit or from the signal type)
+    const { symbol, side } = signal;
+    
+    logger.trade(`Executing ${side} on ${symbol}`);
+    
+    // Get product info
+    const product = await this.nado.getProductBySymbol(symbol);
+    if (!product) {
+      logger.error(`Product not found: ${symbol}`);
+      return;
+    }
+    
+    // Size and check margin from the real account, never from a guess
+    const account = await this.nado.getAccountSnapshot();
+    
+    if (account.equity < MIN_EQUITY) {
+      await this.rejectSignal(signal, `equity $${account.equity.toFixed(2)} is below the $${MIN_EQUITY} minimum`);
+      return;
+    }
+    
+    // Get current market price for the product
+    const markPrice = await this.nado.getMarkPrice(product.productId).catch(() => 0);
+    const referencePrice = markPrice || signal.stats?.lastPrice || 0;
+    
+    if (!referencePrice) {
+      logger.error('Cannot determine entry price');
+      return;
+    }
+    
+    const drift = priceDriftPercent(signal, markPrice);
+    const { maxPriceDriftPercent } = config.signalPolicy;
+    if (drift !== null && maxPriceDriftPercent > 0 && drift > maxPriceDriftPercent) {
+      this.skipSignal(signal, `price drifted ${drift.toFixed(2)}% from the signal's ${signal.stats.lastPrice} to ${markPrice} (limit ${maxPriceDriftPercent}%)`);
+      return;
+    }
+    
+    // Provider levels where they are sane, config percentages otherwise
+    const plan = buildTradePlan(signal, referencePrice, profile);
+    for (const note of plan.notes) {
+      logger.info(`${symbol} plan: ${note}`);
+    }
+    
+    // Size from the distance to the stop this entry would get
+    const plannedEntry = plan.entryPrice || referencePrice;
+    const { slPrice: plannedStop } = this.calculateExitLevels(side, plannedEntry, plan);
+    const sizing = calculatePositionSize({
+      equity: account.equity,
+      entryPrice: plannedEntry,
+      stopPrice: plannedStop,
+      product,
+      riskPercent: profile.riskPercent,
+      leverage: profile.leverage,
+    });
+    if (sizing.reason) {
+      await this.rejectSignal(signal, `cannot size: ${sizing.reason}`);
+      return;
+    }
+    if (sizing.leverageCapped) {
+      logger.info(`${symbol} size capped at ${sizing.leverage.toFixed(1)}x, risking $${sizing.riskUSD.toFixed(2)}`);
+    }
+    
+    const margin = config.preTrade.enabled
+      ? await this.checkMargin({
+        product, side, size: sizing.size, entryPrice: plannedEntry, stopPrice: plannedStop, equity: account.equity, leverage: profile.leverage,
+      })
+      : { reason: null, liquidationPrice: null };
+    if (margin.reason) {
+      await this.rejectSignal(signal, margin.reason);
+      return;
+    }
+    
+    // Limit entry at the provider price, or market order
+    const amount = side === 'LONG' ? sizing.size : -sizing.size;
+    const isLimit = plan.entryType === 'limit';
+    const entryTimeoutSeconds = isLimit
+      ? config.signalLevels.limitEntryExpiryMinutes * 60
+      : config.risk.entryTimeoutSeconds;
+    const entryOrder = isLimit
+      ? await this.placeLimitEntry(product.productId, amount, plan.entryPrice, entryTimeoutSeconds)
+      : await this.placeMarketOrder(product.productId, amount, referencePrice);
+    
+    if (!entryOrder || !entryOrder.digest) {
+      logger.error('Failed to place entry order');
+      return;
+    }
+    
+    // TP/SL are derived from the actual fill once the entry completes
+    const position = {
+      digest: entryOrder.digest,
+      state: 'pending',
+      symbol,
+      side,
+      signalType: signal.signalType || null,
+      channelId: signal.channelId ?? null,
+      messageId: signal.messageId ?? null,
+      entryType: plan.entryType,
+      referencePrice,
+      entryPrice: null,
+      requestedSize: Math.abs(entryOrder.amount),
+      size: 0,
+      sizing: {
+        riskUSD: sizing.riskUSD,
+        notional: sizing.notional,
+        leverage: sizing.leverage,
+        stopPrice: plannedStop,
+        liquidationPrice: margin.liquidationPrice,
+      },
+      plan,
+      tpPrice: null,
+      slPrice: null,
+      tpLegs: null,
+      productId: product.productId,
+      openTime: Date.now(),
+      entryExpiresAt: Date.now() + entryTimeoutSeconds * 1000,
+      equityAtEntry: account.equity,
+      slOrderDigest: null,
+    };
+    
+    this.openPositions.set(entryOrder.digest, position);
+    this.store.savePosition(position);
+    this.scheduleEntryTimeout(position, entryTimeoutSeconds * 1000);
+    
+    if (isLimit) {
+      logger.trade(`Limit entry placed: ${side} ${position.requestedSize} ${symbol} @ ${plan.entryPrice}`);
+      await this.notifier.sendLimitEntryPlaced(position);
+    } else {
+      logger.trade(`Entry submitted: ${side} ${position.requestedSize} ${symbol} @ ~${referencePrice}`);
+    }
+  }
+  
+  /**
+   * Journal and log a signal that is not traded, without bothering the operator
+   */
+  skipSignal(signal, reason) {
+    logger.info(`Skipped ${signal.side} ${signal.symbol} (message ${signal.messageId ?? '—'}): ${reason}`);
+    this.store.recordSkip(signal, reason);
+  }
+  
+  /**
+   * Journal, log and report a signal that failed a pre-trade check
+   */
+  async rejectSignal(signal, reason) {
+    logger.error(`${signal.side} ${signal.symbol} rejected: ${reason}`);
+    this.store.recordSkip(signal, reason);
+    await this.notifier.sendSignalRejected(signal, reason);
+  }
+  
+  /**
+   * Pre-trade checks against the engine's estimate of the subaccount once the
+   * entry fills: exposure already held on the product, initial health left,
+   * the estimated liquidation price against the stop, and the funding the
+   * side would pay.
+   * @returns {Promise<{ reason: string|null, liquidationPrice: number|null }>}
+   */
+  async checkMargin({ product, side, size, entryPrice, stopPrice, equity, leverage = config.risk.leverage }) {
+    const { minHealthPercent, liquidationBufferPercent, maxFundingRatePercent } = config.preTrade;
+    const reject = (reason) => ({ reason, liquidationPrice: null });
+    const amount = side === 'LONG' ? size : -size;
+    
+    let after;
+    try {
+      after = await this.nado.getMarginSummary({ productId: product.productId, amount, price: entryPrice });
+    } catch (error) {
+      return reject(`margin estimate unavailable (${error.message})`);
+    }
+    
+    const perp = after.perps.find(p => p.productId === product.productId);
+    const existing = perp ? perp.amount - amount : 0;
+    if (existing !== 0) {
+      if (Math.sign(existing) !== Math.sign(amount)) {
+        return reject(`${product.symbol} already holds an opposite position of ${existing}`);
+      }
+      const exposure = Math.abs(perp.amount) * entryPrice;
+      const maxExposure = equity * Math.min(leverage, product.maxLeverage || Infinity);
+      if (exposure > maxExposure) {
+        return reject(`${product.symbol} exposure would be $${exposure.toFixed(2)} with the ${existing} already held, above the $${maxExposure.toFixed(2)} leverage limit`);
+      }
+    }
+    
+    const minHealth = size * entryPrice * minHealthPercent / 100;
+    if (after.initialHealth < minHealth) {
+      return reject(`initial health after the order would be $${after.initialHealth.toFixed(2)}, below the $${minHealth.toFixed(2)} minimum`);
+    }
+    
+    const liquidationPrice = perp ? estimateLiquidationPrice(perp, after.maintenanceHealth) : null;
+    if (liquidationPrice !== null) {
+      const gap = side === 'LONG' ? stopPrice - liquidationPrice : liquidationPrice - stopPrice;
+      if (gap <= 0) {
+        return reject(`stop $${stopPrice.toFixed(4)} is beyond the estimated liquidation price $${liquidationPrice.toFixed(4)}`);
+      }
+      const gapPercent = gap / entryPrice * 100;
+      if (gapPercent < liquidationBufferPercent) {
+        return reject(`stop $${stopPrice.toFixed(4)} is only ${gapPercent.toFixed(2)}% from the estimated liquidation price $${liquidationPrice.toFixed(4)} (minimum ${liquidationBufferPercent}%)`);
+      }
+    }
+    
+    if (maxFundingRatePercent > 0) {
+      try {
+        const fundingRate = await this.nado.getFundingRate(product.productId);
+        const paidPercent = (side === 'LONG' ? fundingRate : -fundingRate) * 100;
+        if (paidPercent > maxFundingRatePercent) {
+          return reject(`${side} pays ${paidPercent.toFixed(4)}% funding per 24h, above the ${maxFundingRatePercent}% limit`);
+        }
+      } catch (error) {
+        logger.info(`Funding rate unavailable for ${product.symbol}, not checked: ${error.message}`);
+      }
+    }
+    
+    return { reason: null, liquidationPrice };
+  }
+  
+  /**
+   * Move a position to a new lifecycle state, persist it and report it
+   */
+  async transition(position, state, note = '') {
+    const allowed = TRANSITIONS[position.state] || [];
+    if (position.state && !allowed.includes(state)) {
+      logger.error(`Invalid transition for ${position.symbol}: ${position.state} -> ${state}`);
+      return false;
+    }
+    
+    const previous = position.state;
+    position.state = state;
+    if (state !== 'closed') {
+      this.store.savePosition(position);
+    }
+    
+    logger.trade(`${position.symbol} ${position.side}: ${previous} -> ${state}${note ? ` (${note})` : ''}`);
+    
+    // Opening and closing have their own detailed notifications
+    if (!['protected', 'closed'].includes(state)) {
+      await this.notifier.sendPositionUpdate(position, previous, note);
+    }
+    return true;
+  }
+  
+  /**
+   * TP/SL around the fill price: the plan's provider levels when still valid,
+   * config percentages otherwise
+   */
+  calculateExitLevels(side, entryPrice, plan = null) {
+    return resolveExitLevels(side, entryPrice, plan);
+  }
+  
+  scheduleEntryTimeout(position, delayMs) {
+    const timer = setTimeout(() => {
+      this.entryTimers.delete(position.digest);
+      this.handleEntryTimeout(position);
+    }, delayMs);
+    this.entryTimers.set(position.digest, timer);
+  }
+  
+  clearEntryTimeout(position) {
+    clearTimeout(this.entryTimers.get(position.digest));
+    this.entryTimers.delete(position.digest);
+  }
+  
+  /**
+   * Entry did not complete in time: cancel the remainder and keep what filled
+   */
+  async handleEntryTimeout(position, reason = null) {
+    if (!ENTRY_STATES.includes(position.state)) {
+      return;
+    }
+    
+    const note = reason || (position.entryType === 'limit' ? 'limit entry expired' : 'entry timeout');
+    logger.error(`${note} for ${position.symbol}, cancelling remainder`);
+    await this.nado.cancelOrder(position.productId, position.digest).catch(() => {});
+    await this.settleEntry(position, note);
+  }
+  
+  /**
+   * Apply an entry fill event (partial or complete)
+   */
+  async handleEntryUpdate(position, update) {
+    if (!ENTRY_STATES.includes(position.state)) {
+      return;
+    }
+    
+    if (update.totalFilled > 0) {
+      position.size = update.totalFilled;
+      position.entryPrice = update.avgFillPrice;
+    }
+    
+    if (update.status === 'partially_filled') {
+      await this.transition(
+        position,
+        'partially_filled',
+        `${position.size}/${position.requestedSize} @ ${position.entryPrice}`
+      );
+    } else if (update.status === 'filled') {
+      await this.settleEntry(position);
+    } else if (update.status === 'cancelled') {
+      await this.settleEntry(position, 'remainder cancelled');
+    }
+  }
+  
+  /**
+   * Protect whatever has filled, or drop the position when nothing did
+   */
+  async settleEntry(position, note = '') {
+    if (!ENTRY_STATES.includes(position.state)) {
+      return; // Already settled by a concurrent event
+    }
+    this.clearEntryTimeout(position);
+    
+    if (!position.size) {
+      const previous = position.state;
+      await this.transition(position, 'closed', note || 'entry not filled');
+      await this.notifier.sendPositionUpdate(position, previous, note || 'entry not filled');
+      this.openPositions.delete(position.digest);
+      this.store.discardPosition(position, note || 'ENTRY_NOT_FILLED');
+      return;
+    }
+    
+    position.filledAt = Date.now();
+    const partial = position.size < position.requestedSize ? ` (partial: ${position.size}/${position.requestedSize})` : '';
+    await this.transition(position, 'filled', `${note}${partial}`.trim());
+    
+    const { tpLadder, ...levels } = this.calculateExitLevels(position.side, position.entryPrice, position.plan);
+    Object.assign(position, levels);
+    position.initialSize = position.size;
+    position.realizedPnL = 0;
+    position.tpLegs = await this.buildTakeProfitLegs(position, tpLadder);
+    await this.placeTpSlOrders(position);
+    if (!this.hasActiveStop(position)) {
+      logger.error(`No stop-loss active for ${position.symbol}, not marking it protected`);
+      await this.notifier.sendMessage(`🚨 ${position.symbol} ${position.side} is open without a stop-loss, check it manually`);
+      return;
+    }
+    if (config.trailingStop.mode !== 'off') {
+      this.startTrailing(position, config.trailingStop);
+    }
+    
+    await this.transition(position, 'protected');
+    await this.notifier.sendTradeOpen(position, position.equityAtEntry ?? position.balanceAtEntry);
+    
+    logger.trade(`Position opened: ${position.side} ${position.symbol} @ ${position.entryPrice}`);
   }
   
   /**
-   * Place market order (uses limit with aggressive pricing)
+   * Resting limit entry at the provider price, expiring on the exchange too
+   */
+  async placeLimitEntry(productId, amount, price, ttlSeconds) {
+    try {
+      const order = await this.nado.placeOrder({
+        productId,
+        price,
+        amount,
+        orderType: 'default',
+        ttlSeconds: Math.ceil(ttlSeconds),
+      });
+      this.store.recordOrder({ ...order, role: 'entry' });
+      
+      return order;
+      
+    } catch (error) {
+      logger.error('Limit entry placement failed:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Place market order (IOC limit with aggressive pricing)
    */
   async placeMarketOrder(productId, amount, currentPrice) {
     try {
@@ -145,10 +796,15 @@ export class TradeManager {
       // Add 0.2% slippage tolerance for market execution
       const executionPrice = isLong ? currentPrice * 1.002 : currentPrice * 0.998;
       
-      const priceX18 = this.nado.toX18(executionPrice);
-      const amountX18 = this.nado.toX18(amount);
+      const order = await this.nado.placeOrder({
+        productId,
+        price: executionPrice,
+        amount,
+        orderType: 'ioc',
+      });
+      this.store.recordOrder({ ...order, role: 'entry' });
       
-      return await this.nado.placeOrder(productId, priceX18, amountX18);
+      return order;
       
     } catch (error) {
       logger.error('Market order placement failed:', error);
@@ -157,108 +813,828 @@ export class TradeManager {
   }
   
   /**
-   * Place TP and SL as limit orders
+   * Split the filled size over the TP ladder. Leg sizes are rounded down to
+   * the size step; legs that round to nothing are left to the runner.
+   */
+  async buildTakeProfitLegs(position, ladder) {
+    const product = await this.nado.getProductById(position.productId).catch(() => null);
+    const step = product?.sizeIncrement || 0;
+    const roundDown = (size) => (step ? Math.floor(size / step + 1e-9) * step : size);
+    
+    const totalShare = ladder.reduce((sum, leg) => sum + leg.share, 0);
+    const legs = [];
+    let assigned = 0;
+    ladder.forEach(({ price, share, source }, i) => {
+      // Without a runner the last leg takes the rounding remainder
+      const isLast = i === ladder.length - 1;
+      const size = isLast && totalShare >= 100
+        ? position.size - assigned
+        : roundDown(position.size * share / 100);
+      
+      if (size <= 0) {
+        return;
+      }
+      assigned += size;
+      legs.push({
+        index: legs.length + 1,
+        price,
+        share,
+        source,
+        size,
+        filledSize: 0,
+        exitPrice: null,
+        pnlUSD: 0,
+        status: 'open',
+        orderDigest: null,
+      });
+    });
+    
+    return legs;
+  }
+  
+  /**
+   * Place the SL as a reduce-only stop-market trigger (or leave it to the
+   * software monitor), then the TP ladder as reduce-only limit orders. The
+   * stop goes first and on its own, so a rejected TP never leaves the
+   * position without one.
    */
   async placeTpSlOrders(position) {
     try {
-      const { productId, side, tpPrice, slPrice, size } = position;
+      await this.placeSlOrder(position);
+    } catch (error) {
+      logger.error(`Failed to place SL for ${position.symbol}, using software stop:`, error);
+      position.slMode = 'software';
+      position.slOrderDigest = null;
+      this.store.savePosition(position);
+    }
+    
+    try {
+      await this.placeTpOrders(position);
+      logger.info(`TP/SL orders placed for ${position.symbol}`);
+      
+    } catch (error) {
+      logger.error(`Failed to place TP orders for ${position.symbol}:`, error);
+      await this.notifier.sendMessage(
+        `⚠️ Take-profit orders rejected for ${position.symbol}, the stop-loss is in place: ${error.message}`
+      );
+    }
+  }
+  
+  /**
+   * Native trigger on the book or the software monitor watching the price
+   */
+  hasActiveStop(position) {
+    return position.slMode === 'software' || (position.slMode === 'native' && Boolean(position.slOrderDigest));
+  }
+  
+  /**
+   * Place every open TP leg that has no order on the book
+   */
+  async placeTpOrders(position) {
+    const { productId, side } = position;
+    
+    for (const leg of position.tpLegs) {
+      if (leg.status !== 'open' || leg.orderDigest) {
+        continue;
+      }
+      
+      const remaining = leg.size - leg.filledSize;
+      const tpOrder = await this.nado.placeOrder({
+        productId,
+        price: leg.price,
+        amount: side === 'LONG' ? -remaining : remaining,
+        reduceOnly: true,
+      });
+      
+      leg.orderDigest = tpOrder.digest;
+      this.store.recordOrder({ ...tpOrder, role: `tp${leg.index}`, positionDigest: position.digest });
+    }
+    
+    this.store.savePosition(position);
+  }
+  
+  async placeSlOrder(position) {
+    const { productId, side, slPrice, size } = position;
+    
+    if (config.risk.stopMode === 'software') {
+      position.slMode = 'software';
+      this.store.savePosition(position);
+      return;
+    }
+    
+    try {
+      // Stop-market on the opposite side, fires when price crosses the stop
+      const slOrder = await this.nado.placeTriggerOrder({
+        productId,
+        triggerPrice: slPrice,
+        condition: side === 'LONG' ? 'below' : 'above',
+        amount: side === 'LONG' ? -size : size,
+      });
+      
+      position.slMode = 'native';
+      position.slOrderDigest = slOrder.digest;
+      position.slOrderSize = size;
+      this.store.recordOrder({ ...slOrder, role: 'sl', positionDigest: position.digest });
       
-      // TP order (opposite side)
-      const tpAmount = side === 'LONG' ? -size : size;
-      const tpPriceX18 = this.nado.toX18(tpPrice);
-      const tpAmountX18 = this.nado.toX18(tpAmount);
+    } catch (error) {
+      logger.error(`Trigger SL rejected for ${position.symbol}, using software stop:`, error);
+      position.slMode = 'software';
+      position.slOrderDigest = null;
+      await this.notifier.sendMessage(
+        `⚠️ Native stop-loss rejected for ${position.symbol}, watching price in software instead`
+      );
+    }
+    
+    this.store.savePosition(position);
+  }
+  
+  /**
+   * Watch mark price for positions whose stop-loss lives in software
+   */
+  startStopMonitor() {
+    if (this.stopMonitorTimer) {
+      return;
+    }
+    
+    this.stopMonitorTimer = setInterval(async () => {
+      await this.checkSoftwareStops();
+      await this.checkPositionExpiry();
+    }, config.risk.stopCheckIntervalSeconds * 1000);
+  }
+  
+  stopStopMonitor() {
+    clearInterval(this.stopMonitorTimer);
+    this.stopMonitorTimer = null;
+    for (const timer of this.entryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.entryTimers.clear();
+  }
+  
+  async checkSoftwareStops() {
+    for (const position of [...this.openPositions.values()]) {
+      if (position.slMode !== 'software' || position.closeOrderDigest) {
+        continue;
+      }
       
-      const tpOrder = await this.nado.placeOrder(productId, tpPriceX18, tpAmountX18);
-      if (tpOrder) {
-        position.tpOrderDigest = tpOrder.digest;
+      try {
+        const markPrice = await this.nado.getMarkPrice(position.productId);
+        const crossed = position.side === 'LONG'
+          ? markPrice <= position.slPrice
+          : markPrice >= position.slPrice;
+        
+        if (crossed) {
+          const stopFilled = position.slFilledSize ? `, ${position.slFilledSize} filled by the stop order, closing ${position.size}` : '';
+          logger.trade(`Software stop hit: ${position.symbol} mark ${markPrice} vs stop ${position.slPrice}${stopFilled}`);
+          await this.closeWithMarketOrder(position, 'SL', markPrice);
+        }
+      } catch (error) {
+        logger.error(`Stop check failed for ${position.symbol}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Close positions held longer than MAX_HOLDING_MINUTES and, with
+   * FLATTEN_AT_SESSION_END, everything once the trading hours of its profile
+   * are over. Entries still in progress at session end are cancelled; what
+   * filled is closed on the next check. A close whose IOC missed is sent again
+   * with its original reason: its TP and SL orders are already gone.
+   */
+  async checkPositionExpiry(now = Date.now()) {
+    const maxHoldingMs = config.risk.maxHoldingMinutes * 60 * 1000;
+    
+    for (const position of [...this.openPositions.values()]) {
+      if (position.closeOrderDigest) {
+        continue;
       }
       
-      // SL order (opposite side)
-      const slAmount = side === 'LONG' ? -size : size;
-      const slPriceX18 = this.nado.toX18(slPrice);
-      const slAmountX18 = this.nado.toX18(slAmount);
+      if (position.state === 'closing') {
+        try {
+          logger.trade(`${position.symbol} ${position.side}: retrying ${position.closeReason} close`);
+          const markPrice = await this.nado.getMarkPrice(position.productId);
+          await this.closeWithMarketOrder(position, position.closeReason, markPrice);
+        } catch (error) {
+          logger.error(`Close retry failed for ${position.symbol}:`, error);
+        }
+        continue;
+      }
       
-      const slOrder = await this.nado.placeOrder(productId, slPriceX18, slAmountX18);
-      if (slOrder) {
-        position.slOrderDigest = slOrder.digest;
+      const { tradingHours } = resolveProfile(position.symbol, position.signalType);
+      const sessionOver = tradingHours.flattenAtSessionEnd && !TradingHours.isWithinTradingHours(new Date(now), tradingHours);
+      const heldMs = now - (position.filledAt || position.openTime);
+      const timedOut = maxHoldingMs > 0 && heldMs >= maxHoldingMs;
+      if (!sessionOver && !timedOut) {
+        continue;
       }
       
-      logger.info(`TP/SL orders placed for ${position.symbol}`);
+      try {
+        if (ENTRY_STATES.includes(position.state)) {
+          if (sessionOver) {
+            this.clearEntryTimeout(position);
+            await this.handleEntryTimeout(position, 'trading session ended');
+          }
+          continue;
+        }
+        
+        const reason = sessionOver ? 'SESSION_END' : 'TIMEOUT';
+        logger.trade(`${position.symbol} ${position.side}: ${sessionOver ? 'trading session ended' : `held ${Math.round(heldMs / 60000)} min`}, closing`);
+        const markPrice = await this.nado.getMarkPrice(position.productId);
+        await this.closeWithMarketOrder(position, reason, markPrice);
+      } catch (error) {
+        logger.error(`Expiry close failed for ${position.symbol}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Trail the stop of `position` behind its mark price from now on
+   * @param {{ mode: 'percent'|'atr', percent: number, activationPercent?: number }} options
+   */
+  startTrailing(position, options) {
+    const previous = position.trailing;
+    position.trailing = createTrailingState(position, options);
+    if (previous) {
+      // Keep the amend rate limit and notification baseline when switching distance
+      position.trailing.lastAmendAt = previous.lastAmendAt;
+      position.trailing.lastNotifiedStop = previous.lastNotifiedStop;
+    }
+    this.watchMarkPrice(position);
+    this.store.savePosition(position);
+  }
+  
+  watchMarkPrice(position) {
+    if (!this.priceWatchers.has(position.digest)) {
+      this.priceWatchers.add(position.digest);
+      this.nado.watchMarkPrice(position.productId);
+    }
+  }
+  
+  unwatchMarkPrice(position) {
+    if (this.priceWatchers.delete(position.digest)) {
+      this.nado.unwatchMarkPrice(position.productId);
+    }
+  }
+  
+  /**
+   * Ratchet trailing stops on a `mark_price` event from NadoClient
+   * @param {{ productId: number, price: number }} update
+   */
+  async handleMarkPrice({ productId, price }) {
+    for (const position of [...this.openPositions.values()]) {
+      if (position.productId !== productId || !position.trailing || position.state !== 'protected' ||
+          position.closeOrderDigest || this.trailingInFlight.has(position.digest)) {
+        continue;
+      }
       
+      this.trailingInFlight.add(position.digest);
+      try {
+        await this.updateTrailingStop(position, price);
+      } catch (error) {
+        logger.error(`Trailing stop update failed for ${position.symbol}:`, error);
+      } finally {
+        this.trailingInFlight.delete(position.digest);
+      }
+      // A TP fill while the stop was being moved
+      await this.resizeStopLoss(position);
+    }
+  }
+  
+  /**
+   * Move the stop towards `markPrice` when it improves by a step and the
+   * last amendment is old enough; skipped moves are retried on the next mark
+   */
+  async updateTrailingStop(position, markPrice) {
+    const { trailing, side } = position;
+    
+    if (!trailing.active) {
+      if (!isActivated(trailing, side, markPrice)) {
+        return;
+      }
+      trailing.active = true;
+      logger.trade(`Trailing stop activated for ${position.symbol} @ ${markPrice}`);
+    }
+    
+    if (trailing.mode === 'atr') {
+      await this.refreshAtr(position);
+    }
+    
+    const candidate = nextTrailingStop(side, position.slPrice, markPrice, trailingDistance(trailing, markPrice));
+    if (candidate === null || Date.now() - trailing.lastAmendAt < config.trailingStop.minAmendSeconds * 1000) {
+      return;
+    }
+    
+    const previousStop = position.slPrice;
+    const movedPercent = Math.abs(candidate - trailing.lastNotifiedStop) / position.entryPrice * 100;
+    const notify = movedPercent >= config.trailingStop.notifyStepPercent;
+    trailing.lastAmendAt = Date.now();
+    if (notify) {
+      trailing.lastNotifiedStop = candidate;
+    }
+    
+    logger.trade(`Trailing stop ${position.symbol}: ${previousStop} -> ${candidate} (mark ${markPrice})`);
+    await this.moveStopLoss(position, candidate);
+    
+    if (notify) {
+      await this.notifier.sendStopMoved(position, previousStop, markPrice);
+    }
+  }
+  
+  /**
+   * Recompute the ATR once per candle period. Without enough candles the
+   * trail falls back to its percent distance.
+   */
+  async refreshAtr(position) {
+    const { trailing } = position;
+    const { atrPeriod, atrTimeframeSeconds } = config.trailingStop;
+    if (Date.now() - trailing.atrUpdatedAt < atrTimeframeSeconds * 1000) {
+      return;
+    }
+    trailing.atrUpdatedAt = Date.now();
+    
+    try {
+      const candles = await this.nado.getCandles(position.productId, atrTimeframeSeconds, atrPeriod * 3);
+      trailing.atr = calculateAtr(candles, atrPeriod);
     } catch (error) {
-      logger.error('Failed to place TP/SL orders:', error);
+      logger.error(`Candles for ATR unavailable on ${position.symbol}:`, error);
+    }
+    
+    if (!trailing.atr) {
+      logger.info(`No ATR for ${position.symbol} yet, trailing ${trailing.percent}% behind mark`);
+    }
+  }
+  
+  /**
+   * Move the stop to `price`: the new trigger is placed before the old one
+   * is cancelled so the position is never unprotected
+   */
+  async moveStopLoss(position, price) {
+    position.slPrice = price;
+    
+    if (position.slMode === 'software') {
+      this.store.savePosition(position);
+      return;
+    }
+    
+    const previousDigest = position.slOrderDigest;
+    position.slOrderDigest = null;
+    await this.placeSlOrder(position);
+    
+    if (previousDigest) {
+      await this.nado.cancelTriggerOrder(position.productId, previousDigest).catch((error) => {
+        logger.error(`Failed to cancel previous SL for ${position.symbol}:`, error);
+      });
     }
   }
   
   /**
-   * Handle order update events from WebSocket
+   * Shrink the native stop to the size left after a TP fill, so it can
+   * neither close more than is open nor flip the position
+   */
+  async resizeStopLoss(position) {
+    if (this.trailingInFlight.has(position.digest)) {
+      return; // Re-checked once the amendment under way is done
+    }
+    
+    this.trailingInFlight.add(position.digest);
+    try {
+      while (position.slMode === 'native' && position.slOrderDigest && position.slOrderSize !== position.size) {
+        logger.info(`Resizing ${position.symbol} stop from ${position.slOrderSize} to ${position.size}`);
+        await this.moveStopLoss(position, position.slPrice);
+      }
+    } catch (error) {
+      logger.error(`Stop resize failed for ${position.symbol}:`, error);
+    } finally {
+      this.trailingInFlight.delete(position.digest);
+    }
+  }
+  
+  /**
+   * Nothing left open after partial exits, up to float dust
+   */
+  isFlat(position) {
+    return position.size <= (position.initialSize || 0) * 1e-6;
+  }
+  
+  /**
+   * Apply a fill of one TP leg; the last leg closes the position
+   */
+  async handleTakeProfitUpdate(position, leg, update) {
+    if (update.filledAmount > 0) {
+      const filled = Math.min(update.filledAmount, position.size);
+      const { pnlUSD } = this.calculatePnL({ ...position, size: filled }, update.fillPrice);
+      
+      leg.filledSize += filled;
+      leg.exitPrice = update.avgFillPrice;
+      leg.pnlUSD += pnlUSD;
+      position.size -= filled;
+      position.realizedPnL += pnlUSD;
+    }
+    
+    if (update.status === 'cancelled') {
+      // Cancelled by us, or expired on the exchange: reconciliation re-places it
+      leg.orderDigest = null;
+    }
+    
+    if (update.status === 'filled') {
+      leg.status = 'filled';
+      leg.orderDigest = null;
+    }
+    
+    if (this.isFlat(position)) {
+      await this.closePosition(position, 'TP', update.avgFillPrice);
+      return;
+    }
+    
+    if (update.status !== 'filled') {
+      this.store.savePosition(position);
+      await this.resizeStopLoss(position);
+      return;
+    }
+    
+    const nextLeg = position.tpLegs.find(l => l.status === 'open');
+    position.tpPrice = nextLeg ? nextLeg.price : null;
+    
+    const notes = leg.index === 1 ? await this.afterFirstTakeProfit(position) : [];
+    this.store.savePosition(position);
+    await this.resizeStopLoss(position);
+    
+    logger.trade(`${position.symbol} TP${leg.index} filled @ ${leg.exitPrice}, ${position.size} remaining`);
+    await this.notifier.sendPartialExit(position, leg, notes);
+  }
+  
+  /**
+   * Breakeven and trailing once the first target is banked
+   * @returns {Promise<string[]>} What changed, for the notification
+   */
+  async afterFirstTakeProfit(position) {
+    const notes = [];
+    
+    const stopBelowEntry = position.side === 'LONG'
+      ? position.slPrice < position.entryPrice
+      : position.slPrice > position.entryPrice;
+    if (config.risk.breakevenAfterTp1 && stopBelowEntry) {
+      await this.moveStopLoss(position, position.entryPrice);
+      notes.push(`Stop moved to breakeven ($${position.entryPrice.toFixed(4)})`);
+    }
+    
+    if (config.risk.trailAfterTp1Percent > 0) {
+      this.startTrailing(position, { mode: 'percent', percent: config.risk.trailAfterTp1Percent });
+      notes.push(`Trailing stop ${config.risk.trailAfterTp1Percent}% behind mark`);
+    }
+    
+    return notes;
+  }
+  
+  /**
+   * Flatten a position with a reduce-only IOC order. The position is closed
+   * with `reason` once the fill arrives in handleOrderUpdate.
+   */
+  async closeWithMarketOrder(position, reason, markPrice) {
+    const { productId, side, size } = position;
+    if (this.isFlat(position)) {
+      await this.closePosition(position, reason, markPrice);
+      return;
+    }
+    
+    await this.cancelTakeProfitOrders(position);
+    if (position.slOrderDigest) {
+      // Cleared first so its cancellation is not taken for a lost stop
+      const slDigest = position.slOrderDigest;
+      position.slOrderDigest = null;
+      await this.nado.cancelTriggerOrder(productId, slDigest).catch(() => {});
+    }
+    
+    // 1% slippage allowance so the IOC actually crosses the book
+    const price = side === 'LONG' ? markPrice * 0.99 : markPrice * 1.01;
+    const order = await this.nado.placeOrder({
+      productId,
+      price,
+      amount: side === 'LONG' ? -size : size,
+      orderType: 'ioc',
+      reduceOnly: true,
+    });
+    
+    // Protection is gone; if the IOC misses, the software monitor retries
+    position.slMode = 'software';
+    position.closeOrderDigest = order.digest;
+    position.closeReason = reason;
+    this.store.recordOrder({ ...order, role: 'close', positionDigest: position.digest });
+    
+    if (position.state !== 'closing') {
+      await this.transition(position, 'closing', reason);
+    } else {
+      this.store.savePosition(position);
+    }
+  }
+  
+  pause() {
+    this.isPaused = true;
+    logger.info('⏸️  Trading paused: new signals will be ignored');
+  }
+  
+  resume() {
+    this.isPaused = false;
+    logger.info('▶️  Trading resumed');
+  }
+  
+  /**
+   * Block new entries until clearHalt(); open positions stay managed
+   */
+  halt(reason) {
+    this.haltReason = reason;
+  }
+  
+  clearHalt() {
+    this.haltReason = null;
+  }
+  
+  /**
+   * Close at market for the operator or the risk guard
+   * @returns {Promise<string>} What happened, for the command acknowledgement
+   */
+  async closeManually(position, reason = 'MANUAL') {
+    if (ENTRY_STATES.includes(position.state)) {
+      return `${position.symbol}: entry still in progress, try again shortly`;
+    }
+    if (position.closeOrderDigest) {
+      return `${position.symbol}: already closing`;
+    }
+    
+    const markPrice = await this.nado.getMarkPrice(position.productId);
+    await this.closeWithMarketOrder(position, reason, markPrice);
+    return `${position.symbol} ${position.side}: close order sent @ ~$${markPrice.toFixed(4)}`;
+  }
+  
+  /**
+   * Handle order update events from NadoClient (websocket or polling fallback)
    */
   async handleOrderUpdate(data) {
     try {
-      const { digest, status, fill_price_x18 } = data;
+      const { digest, status, avgFillPrice } = data;
       
-      if (status !== 'filled') {
-        return; // Only process filled orders
+      if (data.filledAmount > 0) {
+        this.store.recordFill(data);
+        this.addFillFee(digest, data.fee);
       }
       
-      const fillPrice = fill_price_x18 ? this.nado.fromX18(fill_price_x18) : null;
+      const entry = this.openPositions.get(digest);
+      if (entry) {
+        await this.handleEntryUpdate(entry, data);
+        return;
+      }
       
-      // Check if this is a TP or SL execution
-      for (const [entryDigest, position] of this.openPositions.entries()) {
-        if (digest === position.tpOrderDigest) {
-          await this.closePosition(position, 'TP', fillPrice);
+      // TP legs can fill in parts
+      for (const position of this.openPositions.values()) {
+        const leg = position.tpLegs?.find(l => l.orderDigest === digest);
+        if (leg) {
+          await this.handleTakeProfitUpdate(position, leg, data);
           return;
         }
+      }
+      
+      if (status === 'cancelled') {
+        this.handleCancelledCloseOrder(digest);
+        return;
+      }
+      
+      // Stop and close orders can fill in parts too
+      for (const position of this.openPositions.values()) {
+        const isStop = digest === position.slOrderDigest;
+        if (!isStop && digest !== position.closeOrderDigest) {
+          continue;
+        }
         
-        if (digest === position.slOrderDigest) {
-          await this.closePosition(position, 'SL', fillPrice);
-          return;
+        if (status === 'filled') {
+          // Earlier parts are banked already, the last one closes the rest
+          const exitPrice = position.partialExits?.length ? data.fillPrice ?? avgFillPrice : avgFillPrice;
+          await this.closePosition(position, isStop ? 'SL' : position.closeReason, exitPrice);
+        } else if (data.filledAmount > 0) {
+          this.applyPartialExit(position, data, isStop ? 'sl' : 'close');
+          if (this.isFlat(position)) {
+            await this.closePosition(position, isStop ? 'SL' : position.closeReason, data.fillPrice);
+          }
         }
+        return;
       }
     } catch (error) {
       logger.error('Order update handling error:', error);
     }
   }
   
+  /**
+   * Charge a fill's fee to the position that owns the order; journaled with
+   * the position's next save, at the latest when it closes
+   */
+  addFillFee(digest, fee) {
+    if (!(fee > 0)) {
+      return;
+    }
+    for (const position of this.openPositions.values()) {
+      const owns = position.digest === digest ||
+        position.slOrderDigest === digest ||
+        position.closeOrderDigest === digest ||
+        position.tpLegs?.some(leg => leg.orderDigest === digest);
+      if (owns) {
+        position.feesUSD = (position.feesUSD || 0) + fee;
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Bank part of a stop or close order like a TP leg, so whatever closes the
+   * position later only closes the size that is left
+   * @param {'sl'|'close'} role
+   */
+  applyPartialExit(position, update, role) {
+    const filled = Math.min(update.filledAmount, position.size);
+    const { pnlUSD } = this.calculatePnL({ ...position, size: filled }, update.fillPrice);
+    
+    position.size -= filled;
+    position.realizedPnL += pnlUSD;
+    position.partialExits = [...(position.partialExits || []), { role, size: filled, price: update.fillPrice }];
+    if (role === 'sl') {
+      position.slFilledSize = (position.slFilledSize || 0) + filled;
+    }
+    this.store.savePosition(position);
+    
+    logger.trade(`${position.symbol} ${role.toUpperCase()} order filled ${filled} @ ${update.fillPrice}, ${position.size} remaining`);
+  }
+  
+  handleCancelledCloseOrder(digest) {
+    for (const position of this.openPositions.values()) {
+      if (digest === position.closeOrderDigest) {
+        logger.error(`Close order for ${position.symbol} was not filled${position.partialExits?.length ? ' completely' : ''}, will retry`);
+        position.closeOrderDigest = null;
+        this.store.savePosition(position);
+      }
+      
+      // The stop went away without closing everything: watch the rest in software
+      if (digest === position.slOrderDigest) {
+        logger.error(`Stop order for ${position.symbol} was cancelled, ${position.size} left under the software stop`);
+        position.slOrderDigest = null;
+        position.slMode = 'software';
+        this.store.savePosition(position);
+      }
+    }
+  }
+  
   async closePosition(position, reason, exitPrice) {
     try {
-      const { symbol, side, entryPrice, size, productId } = position;
-      
-      // Calculate PnL
-      const pnlPercent = side === 'LONG'
-        ? ((exitPrice - entryPrice) / entryPrice) * 100
-        : ((entryPrice - exitPrice) / entryPrice) * 100;
+      const { symbol, productId } = position;
       
-      const pnlUSD = (size * pnlPercent / 100);
+      // No exit price when a position vanished from the exchange without fills to show for it
+      const { pnlUSD, pnlPercent } = exitPrice == null
+        ? { pnlUSD: null, pnlPercent: null }
+        : this.calculateTradePnL(position, exitPrice);
       
-      // Cancel remaining order (TP or SL)
-      if (reason === 'TP' && position.slOrderDigest) {
-        await this.nado.cancelOrder(productId, position.slOrderDigest).catch(() => {});
-      } else if (reason === 'SL' && position.tpOrderDigest) {
-        await this.nado.cancelOrder(productId, position.tpOrderDigest).catch(() => {});
+      // Cancel remaining orders (TP legs, and the stop unless it filled)
+      await this.cancelTakeProfitOrders(position);
+      if (reason !== 'SL' && position.slOrderDigest) {
+        const slDigest = position.slOrderDigest;
+        position.slOrderDigest = null;
+        await this.nado.cancelTriggerOrder(productId, slDigest).catch(() => {});
       }
       
       // Remove from open positions
+      await this.transition(position, 'closed', reason);
+      this.unwatchMarkPrice(position);
       this.openPositions.delete(position.digest);
+      this.store.closePosition(position, { reason, exitPrice, pnlUSD, pnlPercent });
       
-      // Get updated balance
-      const balance = await this.nado.getSubaccountBalance();
-      const newBalance = balance.USDT0 || 0;
+      const account = await this.nado.getAccountSnapshot().catch((error) => {
+        logger.error('Account snapshot after close failed:', error);
+        return null;
+      });
       
       // Send notification
-      await this.notifier.sendTradeClose(position, reason, exitPrice, pnlUSD, pnlPercent, newBalance);
+      await this.notifier.sendTradeClose(position, reason, exitPrice, pnlUSD, pnlPercent, account);
       
-      logger.trade(`Position closed: ${symbol} ${reason} @ ${exitPrice} | PnL: $${pnlUSD.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
+      logger.trade(`Position closed: ${symbol} ${reason} @ ${exitPrice ?? 'unknown'} | PnL: ${pnlUSD == null ? 'unknown' : `$${pnlUSD.toFixed(2)} (${pnlPercent.toFixed(2)}%)`}`);
+      
+      await this.openPendingReversal(symbol);
       
     } catch (error) {
       logger.error('Close position error:', error);
     }
   }
   
+  async cancelTakeProfitOrders(position) {
+    for (const leg of position.tpLegs || []) {
+      if (leg.orderDigest) {
+        const digest = leg.orderDigest;
+        leg.orderDigest = null;
+        await this.nado.cancelOrder(position.productId, digest).catch(() => {});
+      }
+    }
+  }
+  
+  /**
+   * PnL of the whole trade: TP legs and partial stop or close fills already
+   * banked plus the remaining size closed at `exitPrice`. The percentage is
+   * size-weighted over all exits.
+   */
+  calculateTradePnL(position, exitPrice) {
+    const legs = (position.tpLegs || []).filter(leg => leg.filledSize > 0);
+    const rest = this.calculatePnL(position, exitPrice);
+    const initialSize = position.initialSize || position.size;
+    
+    const exits = [
+      ...legs.map(leg => ({ size: leg.filledSize, price: leg.exitPrice })),
+      ...(position.partialExits || []),
+    ];
+    const weightedPercent = exits.reduce(
+      (sum, exit) => sum + exit.size * this.calculatePnL(position, exit.price).pnlPercent,
+      position.size * rest.pnlPercent
+    );
+    
+    return {
+      pnlUSD: (position.realizedPnL || 0) + rest.pnlUSD,
+      pnlPercent: initialSize > 0 ? weightedPercent / initialSize : rest.pnlPercent,
+    };
+  }
+  
+  calculatePnL({ side, entryPrice, size }, exitPrice) {
+    const pnlPercent = side === 'LONG'
+      ? ((exitPrice - entryPrice) / entryPrice) * 100
+      : ((entryPrice - exitPrice) / entryPrice) * 100;
+    
+    const pnlUSD = size * entryPrice * pnlPercent / 100;
+    
+    return { pnlUSD, pnlPercent };
+  }
+  
+  /**
+   * Performance of the trades closed in [from, to): net of the fees their
+   * fills reported, with the funding the subaccount paid or received on the
+   * traded products over the period (null when the indexer is unavailable).
+   * R is the net result over the risk planned at entry.
+   * @returns {Promise<PerformanceReport>}
+   */
+  async getPerformance(from, to) {
+    const closed = this.store.getClosedTradesBetween(from, to);
+    const trades = closed.filter(t => t.pnlUSD != null).map(t => ({
+      ...t,
+      feesUSD: t.feesUSD || 0,
+      netPnL: t.pnlUSD - (t.feesUSD || 0),
+    }));
+    
+    const productIds = [...new Set(trades.map(t => t.productId))];
+    const payments = await this.nado.getFundingPayments(productIds, from, to).catch((error) => {
+      logger.error('Funding payments unavailable:', error);
+      return null;
+    });
+    const fundingOf = (filter) => (payments
+      ? payments.filter(filter).reduce((sum, p) => sum + p.amount, 0)
+      : null);
+    
+    const summarize = (group) => {
+      const wins = group.filter(t => t.netPnL > 0).length;
+      const sum = (key) => group.reduce((total, t) => total + t[key], 0);
+      return { trades: group.length, wins, losses: group.length - wins, pnlUSD: sum('pnlUSD'), feesUSD: sum('feesUSD'), netPnL: sum('netPnL') };
+    };
+    
+    const withRisk = trades.filter(t => t.sizing?.riskUSD > 0);
+    const byNet = [...trades].sort((a, b) => b.netPnL - a.netPnL);
+    const bySymbol = new Map();
+    for (const trade of trades) {
+      const asset = NadoClient.toBaseAsset(trade.symbol);
+      bySymbol.set(asset, [...(bySymbol.get(asset) || []), trade]);
+    }
+    
+    const total = summarize(trades);
+    const fundingUSD = fundingOf(() => true);
+    return {
+      from,
+      to,
+      ...total,
+      unknownPnL: closed.length - trades.length,
+      winRate: trades.length > 0 ? (total.wins / trades.length) * 100 : 0,
+      fundingUSD,
+      resultUSD: total.netPnL + (fundingUSD || 0),
+      avgR: withRisk.length > 0 ? withRisk.reduce((sum, t) => sum + t.netPnL / t.sizing.riskUSD, 0) / withRisk.length : null,
+      best: byNet[0] || null,
+      worst: byNet.length > 1 ? byNet[byNet.length - 1] : null,
+      bySymbol: [...bySymbol.entries()]
+        .map(([symbol, group]) => ({
+          symbol,
+          ...summarize(group),
+          fundingUSD: fundingOf(p => group.some(t => t.productId === p.productId)),
+        }))
+        .sort((a, b) => b.netPnL - a.netPnL),
+    };
+  }
+  
   getDailyStats() {
+    const today = utcDayKey();
+    const closedToday = this.store.getClosedTradesOn(today);
+    
     return {
-      totalTrades: this.dailyTrades,
+      totalTrades: this.store.countTradesOpenedOn(today),
       openPositions: this.openPositions.size,
+      closedTrades: closedToday.length,
+      realizedPnL: closedToday.reduce((sum, t) => sum + (t.pnlUSD ?? 0), 0),
     };
   }
 }
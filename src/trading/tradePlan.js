@@ -0,0 +1,175 @@
+import { config } from '../config.js';
+
+/**
+ * @typedef {Object} TradePlan
+ * @property {'LONG'|'SHORT'} side
+ * @property {'market'|'limit'} entryType
+ * @property {number|null} entryPrice - Limit price for limit entries
+ * @property {'signal'|'market'} entrySource
+ * @property {number|null} tpPrice - Provider TP, null to derive from config
+ * @property {number|null} slPrice - Provider SL, null to derive from config
+ * @property {number[]} takeProfits - All accepted provider targets, nearest first
+ * @property {string[]} notes - Why provider levels were dropped
+ * @property {number} takeProfitPercent - Config TP for this symbol and signal type
+ * @property {number} stopLossPercent - Config SL for this symbol and signal type
+ */
+
+function distancePercent(from, to) {
+  return Math.abs(to - from) / from * 100;
+}
+
+/**
+ * Whether `price` is a sane TP for a position entered at `entryPrice`
+ */
+function isValidTakeProfit(side, entryPrice, price) {
+  const beyondEntry = side === 'LONG' ? price > entryPrice : price < entryPrice;
+  return beyondEntry && distancePercent(entryPrice, price) <= config.signalLevels.maxTakeProfitPercent;
+}
+
+/**
+ * Whether `price` is a sane SL for a position entered at `entryPrice`
+ */
+function isValidStopLoss(side, entryPrice, price) {
+  const beyondEntry = side === 'LONG' ? price < entryPrice : price > entryPrice;
+  const distance = distancePercent(entryPrice, price);
+  return beyondEntry &&
+    distance >= config.signalLevels.minStopPercent &&
+    distance <= config.signalLevels.maxStopPercent;
+}
+
+/**
+ * How far the mark has moved from the provider's price at signal time, in
+ * percent, or null when the signal carries no `stats.lastPrice`
+ * @param {import('../signals/registry.js').Signal} signal
+ * @param {number} markPrice
+ */
+export function priceDriftPercent(signal, markPrice) {
+  const lastPrice = Number(signal.stats?.lastPrice);
+  return lastPrice > 0 && markPrice > 0 ? distancePercent(lastPrice, markPrice) : null;
+}
+
+/**
+ * Decide how to enter and where to exit: provider levels when they pass the
+ * sanity checks against the mark price, config percentages otherwise.
+ * @param {import('../signals/registry.js').Signal} signal
+ * @param {number} markPrice
+ * @param {{ takeProfitPercent: number, stopLossPercent: number }} [profile] - Config percentages, the global ones by default
+ * @returns {TradePlan}
+ */
+export function buildTradePlan(signal, markPrice, profile = config.risk) {
+  const { side } = signal;
+  const useSignal = config.signalLevels.enabled;
+  const notes = [];
+
+  // A limit entry only makes sense below the mark for longs, above for shorts;
+  // a provider entry already crossed is taken at market
+  let entryType = 'market';
+  let entryPrice = null;
+  if (useSignal && signal.entry) {
+    const deviation = distancePercent(markPrice, signal.entry);
+    const better = side === 'LONG' ? signal.entry < markPrice : signal.entry > markPrice;
+
+    if (deviation > config.signalLevels.maxEntryDeviationPercent) {
+      notes.push(`entry ${signal.entry} is ${deviation.toFixed(2)}% from mark, entering at market`);
+    } else if (better && config.signalLevels.limitEntries) {
+      entryType = 'limit';
+      entryPrice = signal.entry;
+    }
+  }
+
+  const reference = entryPrice || markPrice;
+
+  const takeProfits = useSignal
+    ? signal.takeProfits
+      .filter(price => isValidTakeProfit(side, reference, price))
+      .sort((a, b) => (side === 'LONG' ? a - b : b - a))
+    : [];
+  if (useSignal && signal.takeProfits.length > takeProfits.length) {
+    notes.push(`${signal.takeProfits.length - takeProfits.length} TP level(s) out of bounds`);
+  }
+
+  let slPrice = null;
+  if (useSignal && signal.stopLoss) {
+    if (isValidStopLoss(side, reference, signal.stopLoss)) {
+      slPrice = signal.stopLoss;
+    } else {
+      notes.push(`SL ${signal.stopLoss} out of bounds`);
+    }
+  }
+
+  return {
+    side,
+    entryType,
+    entryPrice,
+    entrySource: entryType === 'limit' ? 'signal' : 'market',
+    tpPrice: takeProfits[0] ?? null,
+    slPrice,
+    takeProfits,
+    notes,
+    takeProfitPercent: profile.takeProfitPercent,
+    stopLossPercent: profile.stopLossPercent,
+  };
+}
+
+/**
+ * @typedef {Object} LadderLevel
+ * @property {number} price
+ * @property {number} share - Percent of the filled size closed at this level
+ * @property {'signal'|'config'} source
+ */
+
+/**
+ * Take-profit levels for the fill price, nearest first. Provider targets
+ * still ahead of the fill take the TP_LADDER shares when the counts match,
+ * otherwise they split the non-runner share evenly. Without provider targets
+ * the TP_LADDER percentages apply, or a single TAKE_PROFIT_PERCENT level
+ * (the plan's profile value when set).
+ * @returns {LadderLevel[]}
+ */
+function resolveTakeProfitLadder(side, entryPrice, plan) {
+  const direction = side === 'LONG' ? 1 : -1;
+  const ladder = config.risk.tpLadder;
+  const targets = (plan?.takeProfits || []).filter(price => isValidTakeProfit(side, entryPrice, price));
+
+  if (targets.length > 0) {
+    const runnerShare = ladder.length > 0 ? 100 - ladder.reduce((sum, leg) => sum + leg.share, 0) : 0;
+    return targets.map((price, i) => ({
+      price,
+      share: ladder.length === targets.length ? ladder[i].share : (100 - runnerShare) / targets.length,
+      source: 'signal',
+    }));
+  }
+
+  const legs = ladder.length > 0 ? ladder : [{ percent: plan?.takeProfitPercent ?? config.risk.takeProfitPercent, share: 100 }];
+  return legs
+    .map(({ percent, share }) => ({
+      price: entryPrice * (1 + direction * percent / 100),
+      share,
+      source: 'config',
+    }))
+    .sort((a, b) => direction * (a.price - b.price));
+}
+
+/**
+ * TP ladder and SL for the actual fill price. Provider levels the fill has
+ * already run through fall back to config percentages.
+ * @param {'LONG'|'SHORT'} side
+ * @param {number} entryPrice - Average fill price
+ * @param {TradePlan} [plan]
+ * @returns {{ tpPrice: number, slPrice: number, tpSource: 'signal'|'config', slSource: 'signal'|'config', tpLadder: LadderLevel[] }}
+ */
+export function resolveExitLevels(side, entryPrice, plan = null) {
+  const direction = side === 'LONG' ? 1 : -1;
+  const stopLossPercent = plan?.stopLossPercent ?? config.risk.stopLossPercent;
+
+  const tpLadder = resolveTakeProfitLadder(side, entryPrice, plan);
+  const signalSl = plan?.slPrice && isValidStopLoss(side, entryPrice, plan.slPrice);
+
+  return {
+    tpPrice: tpLadder[0].price,
+    slPrice: signalSl ? plan.slPrice : entryPrice * (1 - direction * stopLossPercent / 100),
+    tpSource: tpLadder[0].source,
+    slSource: signalSl ? 'signal' : 'config',
+    tpLadder,
+  };
+}
@@ -0,0 +1,100 @@
+import { config } from '../config.js';
+
+// The stop only moves in steps of a quarter of the trail distance, which
+// keeps cancel/replace calls down on a slowly grinding market
+const MIN_STEP_FRACTION = 0.25;
+
+/**
+ * @typedef {Object} TrailingState
+ * @property {'percent'|'atr'} mode
+ * @property {number} percent - Distance in percent of mark; also the fallback while ATR is unknown
+ * @property {number} atrMultiplier
+ * @property {number|null} activationPrice - Mark that starts the trail, null = trail right away
+ * @property {boolean} active
+ * @property {number|null} atr - Last ATR in price units
+ * @property {number} atrUpdatedAt
+ * @property {number} lastAmendAt
+ * @property {number} lastNotifiedStop
+ */
+
+/**
+ * Wilder's average true range over `period` candles
+ * @param {{ high: number, low: number, close: number }[]} candles - Oldest first
+ * @param {number} period
+ * @returns {number|null} null when there are not enough candles
+ */
+export function calculateAtr(candles, period) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const trueRanges = candles.slice(1).map((candle, i) => {
+    const previousClose = candles[i].close;
+    return Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+  });
+
+  let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (const tr of trueRanges.slice(period)) {
+    atr = (atr * (period - 1) + tr) / period;
+  }
+  return atr;
+}
+
+/**
+ * Fresh trailing state for a protected position
+ * @param {{ side: 'LONG'|'SHORT', entryPrice: number, slPrice: number }} position
+ * @param {{ mode: 'percent'|'atr', percent: number, activationPercent?: number }} options
+ * @returns {TrailingState}
+ */
+export function createTrailingState({ side, entryPrice, slPrice }, { mode, percent, activationPercent = 0 }) {
+  const direction = side === 'LONG' ? 1 : -1;
+  const activationPrice = activationPercent > 0 ? entryPrice * (1 + direction * activationPercent / 100) : null;
+
+  return {
+    mode,
+    percent,
+    atrMultiplier: config.trailingStop.atrMultiplier,
+    activationPrice,
+    active: activationPrice === null,
+    atr: null,
+    atrUpdatedAt: 0,
+    lastAmendAt: 0,
+    lastNotifiedStop: slPrice,
+  };
+}
+
+/**
+ * Whether the mark has reached the activation price
+ * @param {TrailingState} trailing
+ */
+export function isActivated(trailing, side, markPrice) {
+  if (trailing.activationPrice === null) {
+    return true;
+  }
+  return side === 'LONG' ? markPrice >= trailing.activationPrice : markPrice <= trailing.activationPrice;
+}
+
+/**
+ * Distance of the stop behind the mark, in price units
+ * @param {TrailingState} trailing
+ */
+export function trailingDistance(trailing, markPrice) {
+  if (trailing.mode === 'atr' && trailing.atr) {
+    return trailing.atr * trailing.atrMultiplier;
+  }
+  return markPrice * trailing.percent / 100;
+}
+
+/**
+ * Stop ratcheted towards the mark, or null when it would not improve the
+ * current stop by at least a step
+ */
+export function nextTrailingStop(side, currentStop, markPrice, distance) {
+  const candidate = side === 'LONG' ? markPrice - distance : markPrice + distance;
+  const improvement = side === 'LONG' ? candidate - currentStop : currentStop - candidate;
+  return improvement >= distance * MIN_STEP_FRACTION ? candidate : null;
+}
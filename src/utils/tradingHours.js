@@ -1,32 +1,185 @@
 import { config } from '../config.js';
 
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE_MS = 60 * 1000;
+// How far getStatusMessage looks for the next open or close
+const LOOKAHEAD_DAYS = 8;
+
+const UTC_LABEL = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+});
+const localFormats = new Map(); // time zone -> Intl.DateTimeFormat
+
+/**
+ * @typedef {Object} TradingWindow
+ * @property {number[]} days - Weekdays the window opens on, 0 = Sunday
+ * @property {string} start - "HH:MM" local time
+ * @property {string} end - "HH:MM"; at or before `start` the window runs past midnight
+ * @property {string} timezone - IANA name, e.g. "America/New_York"
+ */
+
+/**
+ * @typedef {Object} Blackout
+ * @property {number} start
+ * @property {number} end
+ * @property {string} name
+ */
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Weekday and minute of the day of `date` in `timeZone`
+ */
+function localTime(date, timeZone) {
+  if (timeZone === 'UTC') {
+    return { day: date.getUTCDay(), minutes: date.getUTCHours() * 60 + date.getUTCMinutes() };
+  }
+  let format = localFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    localFormats.set(timeZone, format);
+  }
+  const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * An overnight window belongs to the weekday it opens on, so "fri 22:00-03:00"
+ * covers Saturday 01:00 but not Friday 01:00
+ */
+function isInWindow(window, date) {
+  const { day, minutes } = localTime(date, window.timezone);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) {
+    return window.days.includes(day) && minutes >= start && minutes < end;
+  }
+  return (window.days.includes(day) && minutes >= start) ||
+    (window.days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * Windows of a trading-hours config; without TRADING_SCHEDULE the daily
+ * TRADING_START_UTC - TRADING_END_UTC window
+ * @returns {TradingWindow[]}
+ */
+function windowsOf(hours) {
+  return hours.windows || [{ days: [0, 1, 2, 3, 4, 5, 6], start: hours.startUtc, end: hours.endUtc, timezone: 'UTC' }];
+}
+
+/**
+ * "mon-fri", "mon,wed", "sat-sun", "daily"
+ */
+function describeDays(days) {
+  if (days.length === 7) {
+    return 'daily';
+  }
+  const runs = [];
+  for (const day of days) {
+    const run = runs[runs.length - 1];
+    if (run && run[1] === day - 1) {
+      run[1] = day;
+    } else {
+      runs.push([day, day]);
+    }
+  }
+  // Join a run ending on Saturday with one starting on Sunday: "fri-mon"
+  if (runs.length > 1 && runs[0][0] === 0 && runs[runs.length - 1][1] === 6) {
+    runs[0][0] = runs.pop()[0];
+  }
+  return runs
+    .map(([first, last]) => (first === last ? WEEKDAYS[first] : `${WEEKDAYS[first]}-${WEEKDAYS[last]}`))
+    .join(',');
+}
+
 export class TradingHours {
-  static isWithinTradingHours() {
-    if (!config.tradingHours.enabled) {
-      return true;
+  /**
+   * Whether entries are allowed at `now`: inside a window of the schedule
+   * (always, with trading hours disabled) and outside every blackout
+   * @param {Date} [now]
+   * @param {Object} [hours] - A profile's trading hours, the global ones by default
+   */
+  static isWithinTradingHours(now = new Date(), hours = config.tradingHours) {
+    if (this.activeBlackout(now)) {
+      return false;
+    }
+    return !hours.enabled || windowsOf(hours).some(window => isInWindow(window, now));
+  }
+
+  /**
+   * @returns {Blackout|null}
+   */
+  static activeBlackout(now = new Date()) {
+    const time = now.getTime();
+    return config.tradingHours.blackouts.find(b => time >= b.start && time < b.end) || null;
+  }
+
+  /**
+   * @returns {Blackout|null}
+   */
+  static nextBlackout(now = new Date()) {
+    return config.tradingHours.blackouts.find(b => b.start > now.getTime()) || null;
+  }
+
+  /**
+   * First minute the open/closed state flips after `now`, or null when it
+   * does not within LOOKAHEAD_DAYS. Scanned minute by minute, which keeps
+   * overnight windows, time zone changes and blackouts exact.
+   * @returns {Date|null}
+   */
+  static nextChange(now = new Date(), hours = config.tradingHours) {
+    const isOpen = this.isWithinTradingHours(now, hours);
+    const from = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const until = from + LOOKAHEAD_DAYS * 24 * 60 * MINUTE_MS;
+
+    for (let time = from; time < until; time += MINUTE_MS) {
+      const at = new Date(time);
+      if (this.isWithinTradingHours(at, hours) !== isOpen) {
+        return at;
+      }
     }
-    
-    const now = new Date();
-    const utcHours = now.getUTCHours();
-    const utcMinutes = now.getUTCMinutes();
-    const currentTime = utcHours * 60 + utcMinutes;
-    
-    const [startHour, startMin] = config.tradingHours.startUtc.split(':').map(Number);
-    const [endHour, endMin] = config.tradingHours.endUtc.split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMin;
-    const endTime = endHour * 60 + endMin;
-    
-    return currentTime >= startTime && currentTime <= endTime;
-  }
-  
-  static getStatusMessage() {
-    if (!config.tradingHours.enabled) {
+    return null;
+  }
+
+  /**
+   * "mon-fri 22:00-03:00 America/New_York; sat 10:00-12:00 UTC" or "24/7"
+   */
+  static describeSchedule(hours = config.tradingHours) {
+    if (!hours.enabled) {
+      return '24/7';
+    }
+    return windowsOf(hours)
+      .map(window => `${describeDays(window.days)} ${window.start}-${window.end} ${window.timezone}`)
+      .join('; ');
+  }
+
+  static formatUtc(date) {
+    return `${UTC_LABEL.format(date)} UTC`;
+  }
+
+  static getStatusMessage(now = new Date()) {
+    const { blackouts } = config.tradingHours;
+    if (!config.tradingHours.enabled && blackouts.length === 0) {
       return '24/7 Trading Mode';
     }
-    
-    const isActive = this.isWithinTradingHours();
-    const status = isActive ? '✅ ACTIVE' : '⏸️  PAUSED';
-    return `${status} (${config.tradingHours.startUtc} - ${config.tradingHours.endUtc} UTC)`;
+
+    const isActive = this.isWithinTradingHours(now);
+    const blackout = this.activeBlackout(now);
+    const status = isActive ? '✅ ACTIVE' : blackout ? `⛔ BLACKOUT (${blackout.name})` : '⏸️  PAUSED';
+    const next = this.nextChange(now);
+    const change = next
+      ? `${isActive ? 'closes' : 'opens'} ${this.formatUtc(next)}`
+      : `no ${isActive ? 'close' : 'opening'} in the next ${LOOKAHEAD_DAYS} days`;
+
+    const lines = [`${status}, ${change}`, `Schedule: ${this.describeSchedule()}`];
+    const upcoming = this.nextBlackout(now);
+    if (upcoming) {
+      lines.push(`Next blackout: ${upcoming.name} ${this.formatUtc(new Date(upcoming.start))} - ${this.formatUtc(new Date(upcoming.end))}`);
+    }
+    return lines.join('\n');
   }
 }
@@ -0,0 +1,81 @@
+// Nado represents prices and amounts as 18-decimal fixed-point integers (X18).
+// All conversions go through BigInt so no precision is lost on the way in.
+
+const DECIMALS = 18;
+const SCALE = 10n ** BigInt(DECIMALS);
+
+/**
+ * Convert a decimal number/string/bigint to an X18 BigInt.
+ * Truncates anything beyond 18 decimals towards zero.
+ * @param {number|string|bigint} value
+ * @returns {bigint}
+ */
+export function parseX18(value) {
+  if (typeof value === 'bigint') {
+    return value * SCALE;
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Cannot convert ${value} to X18`);
+  }
+
+  const str = String(value).trim();
+  const match = str.match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [, sign, intPart = '', fracPart = '', expPart] = match;
+  const exponent = expPart ? parseInt(expPart, 10) : 0;
+
+  // Shift the decimal point by the exponent, then by 18 places
+  let digits = `${intPart}${fracPart}`.replace(/^0+/, '') || '0';
+  const shift = DECIMALS + exponent - fracPart.length;
+
+  if (shift >= 0) {
+    digits = digits + '0'.repeat(shift);
+  } else {
+    digits = digits.length > -shift ? digits.slice(0, shift) : '0';
+  }
+
+  const result = BigInt(digits);
+  return sign === '-' ? -result : result;
+}
+
+/**
+ * Format an X18 BigInt (or integer string) as an exact decimal string.
+ * @param {bigint|string} valueX18
+ * @returns {string}
+ */
+export function formatX18(valueX18) {
+  const value = BigInt(valueX18);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+
+  const intPart = abs / SCALE;
+  const fracPart = (abs % SCALE).toString().padStart(DECIMALS, '0').replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+}
+
+/**
+ * Convert an X18 BigInt (or integer string) to a JS number.
+ * @param {bigint|string} valueX18
+ * @returns {number}
+ */
+export function fromX18(valueX18) {
+  return Number(formatX18(valueX18));
+}
+
+/**
+ * Round an X18 value down (towards zero) to a multiple of an X18 increment.
+ * @param {bigint} valueX18
+ * @param {bigint} incrementX18
+ * @returns {bigint}
+ */
+export function roundX18ToIncrement(valueX18, incrementX18) {
+  if (!incrementX18 || incrementX18 <= 0n) {
+    return valueX18;
+  }
+  return (valueX18 / incrementX18) * incrementX18;
+}